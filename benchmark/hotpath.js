@@ -0,0 +1,95 @@
+/**
+ * Benchmark of the logging hot path: lazy messages, call-site capture and entries without location.
+ * Run with `npm run bench`. Entries are written to a transport that discards them, so only the logger's
+ * own work is measured.
+ */
+
+const winston = require('winston');
+const { createLogger } = require('../src/index.js');
+const { captureCallSites, captureCallerSites } = require('../src/callsite');
+
+const ITERATIONS = Number(process.env.BENCH_ITERATIONS) || 20000;
+
+const order = {
+    id: 'o-42',
+    customer: { id: 'c-7', email: 'someone@example.com' },
+    items: Array.from({ length: 20 }, (_, i) => ({ sku: `sku-${i}`, quantity: i, price: i * 1.5 })),
+};
+
+/**
+ * Creates a logger writing to a transport that discards every entry.
+ * @param {Object} [options] - Additional logger options.
+ * @returns {Object} The logger.
+ */
+function createBenchLogger(options = {}) {
+    const transport = new winston.Transport({ log: (info, callback) => callback() });
+    return createLogger(Object.assign({ transports: [transport] }, options));
+}
+
+/**
+ * Runs a function at a given call stack depth, like code running deep inside a framework.
+ * @param {number} depth - The number of frames to add.
+ * @param {Function} fn - The function to run.
+ * @returns {any} The return value of `fn`.
+ */
+function atDepth(depth, fn) {
+    return depth === 0 ? fn() : atDepth(depth - 1, fn);
+}
+
+/**
+ * Measures a function and prints its throughput.
+ * @param {string} label - The case name.
+ * @param {Function} fn - The function to measure, called once per iteration.
+ * @returns {number} The number of calls per second.
+ */
+function measure(label, fn) {
+    for (let i = 0; i < ITERATIONS / 10; i++) {
+        fn();
+    }
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < ITERATIONS; i++) {
+        fn();
+    }
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const perSecond = ITERATIONS / seconds;
+    console.log(`  ${label.padEnd(48)} ${Math.round(perSecond).toLocaleString('en-US').padStart(12)} ops/s`);
+    return perSecond;
+}
+
+/**
+ * Measures two variants of the same case and prints how much faster the second one is.
+ * @param {string} title - The case name.
+ * @param {[string, Function]} before - The label and function of the baseline.
+ * @param {[string, Function]} after - The label and function of the optimized variant.
+ */
+function compare(title, before, after) {
+    console.log(title);
+    const baseline = measure(...before);
+    const optimized = measure(...after);
+    console.log(`  ${'speedup'.padEnd(48)} ${(optimized / baseline).toFixed(1).padStart(11)}x\n`);
+}
+
+const filtered = createBenchLogger({ level: 'info' });
+compare(
+    'Debug entry below the minimum level',
+    ['eager message', () => filtered.debug(`Order ${JSON.stringify(order)}`)],
+    ['lazy message', () => filtered.debug(() => `Order ${JSON.stringify(order)}`)]
+);
+
+// With a raised limit (e.g. `--stack-trace-limit=50`), capturing the whole stack gets more expensive
+const originalStackTraceLimit = Error.stackTraceLimit;
+Error.stackTraceLimit = 50;
+compare(
+    'Call-site capture 40 frames deep, Error.stackTraceLimit = 50',
+    ['whole stack', () => atDepth(40, () => captureCallSites())],
+    ['caller frames only', () => atDepth(40, () => captureCallerSites())]
+);
+Error.stackTraceLimit = originalStackTraceLimit;
+
+const withLocation = createBenchLogger();
+const withoutLocation = createBenchLogger({ captureLocation: { info: false } });
+compare(
+    'Info entry written',
+    ['with caller location', () => withLocation.info('Order created')],
+    ['captureLocation: { info: false }', () => withoutLocation.info('Order created')]
+);
@@ -0,0 +1,167 @@
+/**
+ * Call-site capture: resolving the user code that called the logger, and building clean stack traces.
+ * @module logger/callsite
+ */
+
+const path = require('path');
+const { validateLevel } = require('./levels');
+
+/**
+ * Directory of the logger's own sources. Frames from these files are never reported as the caller.
+ * @private
+ * @type {string}
+ */
+const LOGGER_DIR = __dirname + path.sep;
+
+/**
+ * Number of frames captured at first when looking for the caller: the logger's own frames, at most four,
+ * plus a few frames of logging helpers. V8 builds a call site object per captured frame, so capturing
+ * fewer frames makes logging cheaper, especially when `Error.stackTraceLimit` has been raised.
+ * @private
+ * @type {number}
+ */
+const CALLER_FRAMES = 8;
+
+/**
+ * Captures the current call stack as V8 CallSite objects.
+ * @param {number} [limit] - Maximum number of frames to capture; defaults to `Error.stackTraceLimit`.
+ * @returns {Array<NodeJS.CallSite>} The call sites, innermost first.
+ */
+function captureCallSites(limit) {
+    const originalPrepareStackTrace = Error.prepareStackTrace;
+    const originalStackTraceLimit = Error.stackTraceLimit;
+    Error.prepareStackTrace = (_, stack) => stack;
+    if (limit !== undefined) {
+        Error.stackTraceLimit = limit;
+    }
+    const stack = new Error().stack;
+    Error.stackTraceLimit = originalStackTraceLimit;
+    Error.prepareStackTrace = originalPrepareStackTrace;
+    return stack;
+}
+
+/**
+ * Captures the call sites needed to find the caller of the logger (see {@link findCallerIndex}).
+ * Only the first few frames are captured, and the full stack only when the caller is not among them,
+ * e.g. behind several ignored helpers.
+ * @param {Array<string|RegExp>} [ignore=[]] - Files or functions to skip, as in {@link findCallerIndex}.
+ * @returns {Array<NodeJS.CallSite>} The call sites, innermost first.
+ */
+function captureCallerSites(ignore = []) {
+    const sites = captureCallSites(CALLER_FRAMES);
+    if (sites.length < CALLER_FRAMES || findCallerIndex(sites, ignore) !== -1) {
+        return sites;
+    }
+    return captureCallSites(Infinity);
+}
+
+/**
+ * Checks whether a file belongs to a dependency or to Node.js itself.
+ * @param {string|null} fileName - The file name of a frame.
+ * @returns {boolean} True for `node_modules` and `node:internal` frames.
+ */
+function isInternalFile(fileName) {
+    if (!fileName) {
+        return false;
+    }
+    return fileName.includes(`${path.sep}node_modules${path.sep}`)
+        || fileName.startsWith('node:internal')
+        || fileName.startsWith('internal/');
+}
+
+/**
+ * Checks whether a call site matches an ignore rule.
+ * A string rule matches a file equal to it or inside it (when it is a directory), or a function with that exact name.
+ * A RegExp rule is tested against both the file name and the function name.
+ * @private
+ * @param {NodeJS.CallSite} site - The call site.
+ * @param {string} fileName - The file name of the call site.
+ * @param {Array<string|RegExp>} rules - The ignore rules.
+ * @returns {boolean} True if the call site should be skipped.
+ */
+function isIgnored(site, fileName, rules) {
+    if (!rules.length) {
+        return false;
+    }
+    const functionName = site.getFunctionName() || '';
+    return rules.some((rule) => {
+        if (rule instanceof RegExp) {
+            return rule.test(fileName) || rule.test(functionName);
+        }
+        return fileName === rule || fileName.startsWith(rule.endsWith(path.sep) ? rule : rule + path.sep) || functionName === rule;
+    });
+}
+
+/**
+ * Finds the call site of the user code that called the logger,
+ * skipping the logger's own frames, frames without a file (native code) and ignored frames.
+ * @param {Array<NodeJS.CallSite>} sites - The captured call sites.
+ * @param {Array<string|RegExp>} [ignore=[]] - Additional files or functions to skip, e.g. the user's own logging helpers.
+ * @returns {number} The index of the caller in `sites`, or -1 if there is none.
+ */
+function findCallerIndex(sites, ignore = []) {
+    return sites.findIndex((site) => {
+        const fileName = site.getFileName();
+        return fileName && !fileName.startsWith(LOGGER_DIR) && !isIgnored(site, fileName, ignore);
+    });
+}
+
+/**
+ * Creates the function deciding whether the caller location of an entry is captured, from the
+ * `captureLocation` option. Entries without a location skip the stack capture entirely.
+ * @param {boolean|Object<string, boolean>} [setting=true] - Whether to capture locations, for all levels
+ *                                                          or per level, e.g. `{ debug: false }`.
+ *                                                          Levels without a setting are captured.
+ * @returns {function(string): boolean} Returns whether the location of an entry at the given level is captured.
+ * @throws {Error} If a level is unknown or a value is not a boolean.
+ */
+function createLocationFilter(setting = true) {
+    if (typeof setting === 'boolean') {
+        return () => setting;
+    }
+    if (setting === null || typeof setting !== 'object' || Array.isArray(setting)) {
+        throw new Error('The "captureLocation" option must be a boolean or an object of booleans by level');
+    }
+    for (const level of Object.keys(setting)) {
+        validateLevel(level);
+        if (typeof setting[level] !== 'boolean') {
+            throw new Error(`Invalid captureLocation "${setting[level]}" for level "${level}". Expected a boolean`);
+        }
+    }
+    return (level) => setting[level] !== false;
+}
+
+/**
+ * Formats call sites as a stack trace.
+ * @param {string} header - The first line of the stack trace, e.g. "Error".
+ * @param {Array<NodeJS.CallSite>} sites - The call sites.
+ * @returns {string} The stack trace.
+ */
+function formatCallSites(header, sites) {
+    return [header].concat(sites.map((site) => `    at ${site}`)).join('\n');
+}
+
+/**
+ * Removes `node_modules` and `node:internal` frames from a stack trace string.
+ * @param {string} stack - The stack trace.
+ * @returns {string} The cleaned stack trace.
+ */
+function stripInternalFrames(stack) {
+    return stack
+        .split('\n')
+        .filter((line) => {
+            const frame = /^\s+at (?:.*\()?(.+?)(?::\d+:\d+)?\)?$/.exec(line);
+            return !frame || !isInternalFile(frame[1]);
+        })
+        .join('\n');
+}
+
+module.exports = {
+    captureCallSites,
+    captureCallerSites,
+    isInternalFile,
+    findCallerIndex,
+    formatCallSites,
+    createLocationFilter,
+    stripInternalFrames,
+};
@@ -0,0 +1,291 @@
+/**
+ * Configuration from outside the code: environment variables and an optional `firebase-js-logger.config.js`
+ * or `firebase-js-logger.config.json` file. Invalid values are reported as process warnings and ignored,
+ * so a typo in a deployment setting never prevents the application from starting.
+ * @module logger/config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFormat } = require('./formats');
+const { validateLevel, createLevelResolver } = require('./levels');
+const { createRedactor } = require('./redact');
+const { createSampler, createRateLimiter } = require('./ratelimit');
+const { createLocationFilter } = require('./callsite');
+const { validatePlugin } = require('./plugins');
+const { createFlightRecorder } = require('./recorder');
+const { isTransport, validateTransportSpec } = require('./transports');
+
+/**
+ * Names of the configuration files looked up in the working directory, in order of preference.
+ * @type {string[]}
+ */
+const CONFIG_FILES = ['firebase-js-logger.config.js', 'firebase-js-logger.config.json'];
+
+/**
+ * Throws unless a value has the expected type.
+ * @private
+ * @param {any} value - The value.
+ * @param {string} type - The expected type: a `typeof` result, 'object' for plain objects, or 'array'.
+ * @throws {Error} If the value has another type.
+ */
+function expectType(value, type) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== type) {
+        throw new Error(`Expected ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}, got ${actual}`);
+    }
+}
+
+/**
+ * Validators of the options that can be set from outside the code. Each throws if its value is invalid.
+ * @private
+ * @type {Object<string, function(any): void>}
+ */
+const VALIDATORS = {
+    prefix: (value) => expectType(value, 'string'),
+    name: (value) => expectType(value, 'string'),
+    level: validateLevel,
+    format: validateFormat,
+    moduleLevels: (value) => {
+        expectType(value, 'object');
+        createLevelResolver(value);
+    },
+    transports: (value) => {
+        expectType(value, 'array');
+        value.forEach((spec) => isTransport(spec) || validateTransportSpec(spec));
+    },
+    redact: (value) => {
+        expectType(value, 'object');
+        createRedactor(value);
+    },
+    ignoreCallers: (value) => expectType(value, 'array'),
+    stripInternalFrames: (value) => expectType(value, 'boolean'),
+    sourceMaps: (value) => expectType(value, 'boolean'),
+    serializer: (value) => expectType(value, 'object'),
+    rateLimit: (value) => {
+        expectType(value, 'object');
+        createRateLimiter(value, () => {});
+    },
+    sampling: (value) => {
+        expectType(value, 'object');
+        createSampler(value);
+    },
+    captureLocation: createLocationFilter,
+    detectRuntime: (value) => {
+        if (typeof value !== 'boolean') {
+            expectType(value, 'object');
+        }
+    },
+    flightRecorder: (value) => {
+        expectType(value, 'object');
+        createFlightRecorder(value);
+    },
+    plugins: (value) => {
+        expectType(value, 'array');
+        value.forEach(validatePlugin);
+    },
+};
+
+/**
+ * Parses a comma-separated list, ignoring empty items.
+ * @private
+ * @param {string} value - The list.
+ * @returns {string[]} The trimmed items.
+ */
+function parseList(value) {
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses the `LOG_LEVELS` variable: comma-separated `<glob>=<level>` rules.
+ * @private
+ * @param {string} value - The variable value, e.g. `services/payments*=debug,vendor/**=error`.
+ * @returns {Object<string, string>} The levels by glob.
+ * @throws {Error} If a rule has no level.
+ */
+function parseLevelRules(value) {
+    const rules = {};
+    for (const item of parseList(value)) {
+        const separator = item.lastIndexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid rule "${item}". Expected <glob>=<level>`);
+        }
+        rules[item.slice(0, separator).trim()] = item.slice(separator + 1).trim().toLowerCase();
+    }
+    return rules;
+}
+
+/**
+ * Parses the `LOG_TRANSPORTS` variable: either a JSON array of transport specifications,
+ * or a comma-separated list of `console` and `file:<path>` items.
+ * @private
+ * @param {string} value - The variable value.
+ * @returns {Array<Object>} The transport specifications.
+ * @throws {Error} If the value cannot be parsed.
+ */
+function parseTransports(value) {
+    if (value.trim().startsWith('[')) {
+        return JSON.parse(value);
+    }
+    return parseList(value).map((item) => {
+        const separator = item.indexOf(':');
+        if (separator === -1) {
+            return { type: item };
+        }
+        if (item.slice(0, separator) !== 'file') {
+            throw new Error(`Invalid transport "${item}". Expected "console" or "file:<path>"`);
+        }
+        return { type: 'file', filename: item.slice(separator + 1) };
+    });
+}
+
+/**
+ * Environment variables and how each one maps to an option.
+ * @private
+ * @type {Object<string, function(string): Object>}
+ */
+const ENV_VARIABLES = {
+    LOG_LEVEL: (value) => ({ level: value.trim().toLowerCase() }),
+    LOG_LEVELS: (value) => ({ moduleLevels: parseLevelRules(value) }),
+    LOG_FORMAT: (value) => ({ format: value.trim().toLowerCase() }),
+    LOG_PREFIX: (value) => ({ prefix: value }),
+    LOG_REDACT: (value) => ({ redact: { paths: parseList(value) } }),
+    LOG_TRANSPORTS: (value) => ({ transports: parseTransports(value) }),
+};
+
+/**
+ * Keeps the valid options of a configuration source, warning about the others.
+ * @private
+ * @param {Object} options - The options read from the source.
+ * @param {function(string): string} describe - Describes an option for warnings, e.g. `LOG_LEVEL`.
+ * @param {function(string): void} warn - Reports a warning.
+ * @returns {Object} The valid options.
+ */
+function keepValid(options, describe, warn) {
+    const valid = {};
+    for (const key of Object.keys(options)) {
+        if (!VALIDATORS[key]) {
+            warn(`Ignoring unknown option ${describe(key)}. Expected one of: ${Object.keys(VALIDATORS).join(', ')}`);
+            continue;
+        }
+        try {
+            VALIDATORS[key](options[key]);
+            valid[key] = options[key];
+        } catch (err) {
+            warn(`Ignoring invalid ${describe(key)}: ${err.message}`);
+        }
+    }
+    return valid;
+}
+
+/**
+ * Reads the configuration file, if there is one.
+ * @private
+ * @param {Object} env - The environment variables.
+ * @param {string} cwd - The directory the configuration file is looked up in.
+ * @param {function(string): void} warn - Reports a warning.
+ * @returns {Object} The valid options of the file, or an empty object.
+ */
+function readConfigFile(env, cwd, warn) {
+    const file = env.LOG_CONFIG
+        ? path.resolve(cwd, env.LOG_CONFIG)
+        : CONFIG_FILES.map((name) => path.join(cwd, name)).find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+        return {};
+    }
+    let options;
+    try {
+        options = file.endsWith('.json') ? JSON.parse(fs.readFileSync(file, 'utf8')) : require(file);
+        expectType(options, 'object');
+    } catch (err) {
+        warn(`Ignoring logger config file ${file}: ${err.message}`);
+        return {};
+    }
+    return keepValid(options, (key) => `"${key}" in ${file}`, warn);
+}
+
+/**
+ * Reads the logger options set through environment variables.
+ * @private
+ * @param {Object} env - The environment variables.
+ * @param {function(string): void} warn - Reports a warning.
+ * @returns {Object} The valid options.
+ */
+function readEnv(env, warn) {
+    const options = {};
+    const sources = {};
+    for (const variable of Object.keys(ENV_VARIABLES)) {
+        if (env[variable] === undefined || env[variable] === '') {
+            continue;
+        }
+        try {
+            const parsed = ENV_VARIABLES[variable](env[variable]);
+            for (const key of Object.keys(parsed)) {
+                sources[key] = variable;
+            }
+            Object.assign(options, parsed);
+        } catch (err) {
+            warn(`Ignoring invalid ${variable}: ${err.message}`);
+        }
+    }
+    return keepValid(options, (key) => sources[key], warn);
+}
+
+/**
+ * Merges two sets of logger options. Redaction rules, module levels and plugins are combined rather than replaced,
+ * so keys listed in `LOG_REDACT` add to the ones configured in code, rules in `LOG_LEVELS` take
+ * precedence over the ones configured in code for the same files, and plugins of a configuration file
+ * run after the ones configured in code.
+ * @param {Object} base - The options with lower precedence.
+ * @param {Object} overrides - The options with higher precedence.
+ * @returns {Object} The merged options.
+ */
+function mergeOptions(base, overrides) {
+    const merged = Object.assign({}, base, overrides);
+    if (base.redact && overrides.redact) {
+        merged.redact = Object.assign({}, base.redact, overrides.redact, {
+            paths: (base.redact.paths || []).concat(overrides.redact.paths || []),
+            patterns: (base.redact.patterns || []).concat(overrides.redact.patterns || []),
+        });
+    }
+    if (base.moduleLevels && overrides.moduleLevels) {
+        merged.moduleLevels = Object.assign({}, base.moduleLevels, overrides.moduleLevels);
+    }
+    if (base.plugins && overrides.plugins) {
+        merged.plugins = base.plugins.concat(overrides.plugins);
+    }
+    return merged;
+}
+
+/**
+ * Loads the logger options set outside the code. The configuration file is read first, and environment variables
+ * override it:
+ *
+ * - `LOG_LEVEL`: minimum level, e.g. `info`
+ * - `LOG_LEVELS`: minimum levels per source path glob, e.g. `services/payments*=debug,vendor/**=error`
+ * - `LOG_FORMAT`: output format, e.g. `json`
+ * - `LOG_PREFIX`: prefix removed from file names
+ * - `LOG_REDACT`: comma-separated key paths to redact, e.g. `password,headers.authorization`
+ * - `LOG_TRANSPORTS`: comma-separated `console` and `file:<path>` items, or a JSON array of transport specifications
+ * - `LOG_CONFIG`: path of the configuration file, instead of looking up {@link CONFIG_FILES} in the working directory
+ *
+ * @param {Object} [sources] - Where to read the configuration from; defaults to the current process.
+ * @param {Object} [sources.env=process.env] - The environment variables.
+ * @param {string} [sources.cwd=process.cwd()] - The directory the configuration file is looked up in.
+ * @param {function(string): void} [sources.warn] - Reports invalid values. Defaults to `process.emitWarning`.
+ * @returns {Object} The valid options, to be merged over the options passed in code with {@link mergeOptions}.
+ */
+function loadConfig(sources = {}) {
+    const {
+        env = process.env,
+        cwd = process.cwd(),
+        warn = (message) => process.emitWarning(message, 'LoggerConfigWarning'),
+    } = sources;
+    return mergeOptions(readConfigFile(env, cwd, warn), readEnv(env, warn));
+}
+
+module.exports = {
+    CONFIG_FILES,
+    loadConfig,
+    mergeOptions,
+};
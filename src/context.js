@@ -0,0 +1,129 @@
+/**
+ * Request-scoped logging context built on AsyncLocalStorage.
+ * Fields stored in the context are merged into every entry logged while the context is active,
+ * including from modules that have no access to the request object.
+ * @module logger/context
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// AsyncLocalStorage is unavailable before Node.js 12.17; the context API then degrades to a no-op.
+const storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+/**
+ * Gets the fields of the currently active context.
+ * @returns {Object|undefined} The active context fields, or undefined outside of any context.
+ */
+function getContext() {
+    return storage ? storage.getStore() : undefined;
+}
+
+/**
+ * Runs a function with context fields that are merged into every entry it logs, synchronously or asynchronously.
+ * Nested calls inherit the fields of the enclosing context.
+ * @param {Object} fields - The context fields, e.g. `{ traceId, executionId }`.
+ * @param {Function} fn - The function to run.
+ * @returns {any} The return value of `fn`.
+ */
+function runWithContext(fields, fn) {
+    if (!storage) {
+        return fn();
+    }
+    return storage.run(Object.assign({}, getContext(), fields), fn);
+}
+
+/**
+ * Parses trace headers into trace fields.
+ * Supports the W3C `traceparent` header and Google's `X-Cloud-Trace-Context` header;
+ * `traceparent` takes precedence when both are present.
+ * @param {Object} [headers={}] - Request headers with lower-case names, as provided by Node.js.
+ * @returns {{traceId: string, spanId: (string|undefined), traceSampled: (boolean|undefined)}|null}
+ *          The trace fields, or null if no valid trace header is present. `spanId` is a 16-character hex string.
+ */
+function parseTraceHeaders(headers = {}) {
+    const traceparent = headers.traceparent;
+    if (typeof traceparent === 'string') {
+        const match = /^[\da-f]{2}-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/i.exec(traceparent.trim());
+        if (match) {
+            return {
+                traceId: match[1].toLowerCase(),
+                spanId: match[2].toLowerCase(),
+                traceSampled: (parseInt(match[3], 16) & 1) === 1,
+            };
+        }
+    }
+
+    // Format: TRACE_ID/SPAN_ID;o=OPTIONS, where SPAN_ID is decimal and both SPAN_ID and OPTIONS are optional
+    const cloudTrace = headers['x-cloud-trace-context'];
+    if (typeof cloudTrace === 'string') {
+        const match = /^([\da-f]{32})(?:\/(\d+))?(?:;o=(\d))?$/i.exec(cloudTrace.trim());
+        if (match) {
+            const fields = { traceId: match[1].toLowerCase() };
+            if (match[2]) {
+                fields.spanId = BigInt(match[2]).toString(16).padStart(16, '0');
+            }
+            if (match[3] !== undefined) {
+                fields.traceSampled = match[3] === '1';
+            }
+            return fields;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Extracts the context fields for an incoming HTTP request: trace fields and the Cloud Functions execution ID.
+ * @param {Object} req - The incoming request (Node.js, Express or Firebase `onRequest` request).
+ * @returns {Object} The context fields; empty if the request carries no trace or execution ID.
+ */
+function getRequestContext(req) {
+    const headers = (req && req.headers) || {};
+    const fields = Object.assign({}, parseTraceHeaders(headers));
+    const executionId = headers['function-execution-id'];
+    if (executionId) {
+        fields.executionId = executionId;
+    }
+    return fields;
+}
+
+/**
+ * Creates an Express-style middleware that runs the rest of the request in a logging context.
+ * @returns {function(Object, Object, Function): void} The middleware.
+ */
+function contextMiddleware() {
+    return (req, res, next) => runWithContext(getRequestContext(req), next);
+}
+
+/**
+ * Wraps an HTTP handler (Firebase `onRequest` or plain Node.js) so that it runs in a logging context.
+ * @param {function(Object, Object): any} handler - The request handler.
+ * @returns {function(Object, Object): any} The wrapped handler.
+ */
+function withRequestContext(handler) {
+    return (req, res) => runWithContext(getRequestContext(req), () => handler(req, res));
+}
+
+/**
+ * Wraps a Firebase callable (`onCall`) handler so that it runs in a logging context.
+ * Works with both the v2 `(request)` and the v1 `(data, context)` signatures by reading `rawRequest`.
+ * @param {Function} handler - The callable handler.
+ * @returns {Function} The wrapped handler.
+ */
+function withCallContext(handler) {
+    return (...args) => {
+        const source = args.find((arg) => arg && arg.rawRequest);
+        const fields = source ? getRequestContext(source.rawRequest) : {};
+        return runWithContext(fields, () => handler(...args));
+    };
+}
+
+module.exports = {
+    getContext,
+    runWithContext,
+    parseTraceHeaders,
+    getRequestContext,
+    contextMiddleware,
+    withRequestContext,
+    withCallContext,
+};
@@ -0,0 +1,391 @@
+/**
+ * Output formats for the logger: the classic single-line text format, a
+ * structured JSON format understood by Google Cloud Logging, and a colorized
+ * pretty format for local development.
+ * @module logger/formats
+ */
+
+const winston = require('winston');
+const { SEVERITIES } = require('./levels');
+const { safeStringify } = require('./serialize');
+
+/**
+ * Field under which the caller's file, line and function are stored on every entry.
+ * The name matches the special field Cloud Logging reads from structured logs.
+ * @type {string}
+ */
+const SOURCE_LOCATION = 'logging.googleapis.com/sourceLocation';
+
+/**
+ * Symbol under which the fields of an entry (request context, bound context and metadata) are stored.
+ * They are kept apart from the entry's own properties, such as `level`, `message` and `stack`, so a field with
+ * the same name never replaces them. The JSON format writes them as top-level fields.
+ * @type {symbol}
+ */
+const CONTEXT = Symbol('context');
+
+/**
+ * Symbol under which the serialized Error attached to an entry, if any, is stored.
+ * @type {symbol}
+ */
+const ERROR = Symbol('error');
+
+/**
+ * Symbol under which the name of the logger instance that wrote an entry is stored.
+ * @type {symbol}
+ */
+const LOGGER_NAME = Symbol('loggerName');
+
+/**
+ * Symbol under which the labels of the detected runtime are stored on every entry
+ * (see {@link module:logger/runtime.detectRuntime}).
+ * @type {symbol}
+ */
+const RUNTIME_LABELS = Symbol('runtimeLabels');
+
+/**
+ * Symbol under which entries written later than they were logged, such as the ones dumped by the flight recorder,
+ * keep the time they were logged, used as their timestamp.
+ * @type {symbol}
+ */
+const LOGGED_AT = Symbol('loggedAt');
+
+/**
+ * Symbol under which a source location keeps the caller's absolute file path and column, which the Cloud Logging
+ * source location has no field for.
+ * @type {symbol}
+ */
+const POSITION = Symbol('position');
+
+/**
+ * Supported output format names.
+ * @type {string[]}
+ */
+const FORMATS = ['text', 'json', 'pretty'];
+
+/**
+ * ANSI color codes of each level in the pretty format.
+ * @private
+ * @type {Object<string, string>}
+ */
+const LEVEL_COLORS = {
+    emergency: '1;97;41',
+    alert: '1;35',
+    critical: '1;31',
+    error: '31',
+    warn: '33',
+    notice: '36',
+    info: '32',
+    debug: '90',
+};
+
+/**
+ * Width of the level column in the pretty format: the length of the longest level name.
+ * @private
+ * @type {number}
+ */
+const LEVEL_WIDTH = Math.max(...Object.keys(LEVEL_COLORS).map((level) => level.length));
+
+/**
+ * Validates an output format name.
+ * @param {string} format - The output format name.
+ * @returns {string} The same format name.
+ * @throws {Error} If the format is not one of {@link FORMATS}.
+ */
+function validateFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown log format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+/**
+ * Renders fields as space-separated `key=value` pairs.
+ * Strings containing whitespace and non-string values are JSON-encoded.
+ * @private
+ * @param {Object} fields - The fields to render.
+ * @returns {string} The rendered pairs, or an empty string if there are no fields.
+ */
+function renderFields(fields) {
+    return Object.keys(fields)
+        .map((key) => {
+            const value = fields[key];
+            const rendered = typeof value === 'string' && !/\s/.test(value) ? value : safeStringify(value);
+            return `${key}=${rendered}`;
+        })
+        .join(' ');
+}
+
+/**
+ * Renders an entry as a single text line: timestamp, level, logger name, caller location, message and context fields.
+ * @private
+ * @param {Object} info - The winston info object.
+ * @returns {string} The formatted log line.
+ */
+function renderText(info) {
+    const { level, message, timestamp, stack } = info;
+    const location = info[SOURCE_LOCATION];
+    const name = info[LOGGER_NAME];
+    let log = `${timestamp} [${level.toUpperCase()}]${name ? ` [${name}]` : ''}: `;
+    if (location) {
+        log += `${location.file}:[${location.line}]`;
+        if (location.function) {
+            log += ` (${location.function})`;
+        }
+        log += ' - ';
+    }
+    log += message;
+    if (info[ERROR]) {
+        // Name and message are already part of the line and the stack trace
+        const { name, message: errorMessage, cause, errors, ...details } = info[ERROR];
+        const rendered = renderFields(details);
+        if (rendered) {
+            log += ` ${rendered}`;
+        }
+    }
+    // The request details of access-log entries are already summarized in their message
+    const { httpRequest, ...contextFields } = info[CONTEXT] || {};
+    const context = renderFields(contextFields);
+    if (context) {
+        log += ` ${context}`;
+    }
+    if (stack) {
+        log += `\n${stack}`;
+    }
+    return log;
+}
+
+/**
+ * Wraps text in an ANSI color code, unless colors are disabled with the `NO_COLOR` environment variable.
+ * @private
+ * @param {string} code - The ANSI code, e.g. '31' for red.
+ * @param {string} text - The text to color.
+ * @returns {string} The colored text.
+ */
+function color(code, text) {
+    return process.env.NO_COLOR ? text : `\u001b[${code}m${text}\u001b[0m`;
+}
+
+/**
+ * Renders a value for the pretty format: objects and arrays are indented over several lines.
+ * @private
+ * @param {any} value - The value.
+ * @returns {string} The rendered value.
+ */
+function renderPrettyValue(value) {
+    if (value !== null && typeof value === 'object') {
+        try {
+            return JSON.stringify(value, null, 2);
+        } catch (err) {
+            return safeStringify(value);
+        }
+    }
+    return typeof value === 'string' && !/\s/.test(value) ? value : safeStringify(value);
+}
+
+/**
+ * Renders fields for the pretty format: scalar values as `key=value` pairs on the first line,
+ * objects and arrays indented on the lines below.
+ * @private
+ * @param {Object} fields - The fields to render.
+ * @returns {{inline: string, block: string}} The rendered pairs and the multi-line values, each possibly empty.
+ */
+function renderPrettyFields(fields) {
+    const inline = [];
+    const block = [];
+    for (const key of Object.keys(fields)) {
+        const rendered = renderPrettyValue(fields[key]);
+        if (rendered.includes('\n')) {
+            block.push(`  ${color('90', `${key}:`)} ${rendered.replace(/\n/g, '\n  ')}`);
+        } else {
+            inline.push(`${color('90', `${key}=`)}${rendered}`);
+        }
+    }
+    return { inline: inline.join(' '), block: block.join('\n') };
+}
+
+/**
+ * Renders the caller location as an absolute `path:line:column`, which terminals of editors such as VS Code
+ * and JetBrains IDEs turn into a link to the source.
+ * @private
+ * @param {Object} location - The source location of the entry.
+ * @returns {string} The rendered location.
+ */
+function renderPrettyLocation(location) {
+    const position = location[POSITION];
+    const link = position ? `${position.path}:${location.line}:${position.column}` : `${location.file}:${location.line}`;
+    return location.function ? `${location.function} ${link}` : link;
+}
+
+/**
+ * Renders an entry for humans: aligned, colorized columns for the time and level, the message, scalar fields,
+ * and the clickable caller location on the first line, followed by multi-line objects and the stack trace.
+ * Messages logged as objects or arrays are indented too.
+ * @private
+ * @param {Object} info - The winston info object.
+ * @returns {string} The formatted log entry.
+ */
+function renderPretty(info) {
+    const { level, message, timestamp, stack } = info;
+    const location = info[SOURCE_LOCATION];
+    const name = info[LOGGER_NAME];
+    let log = `${color('90', timestamp)} ${color(LEVEL_COLORS[level] || '0', level.toUpperCase().padEnd(LEVEL_WIDTH))} `;
+    if (name) {
+        log += `${color('35', `[${name}]`)} `;
+    }
+    let body = message;
+    if (/^[[{]/.test(message)) {
+        try {
+            body = renderPrettyValue(JSON.parse(message));
+        } catch (err) {
+            // Not a logged object, just a message starting with a bracket
+        }
+    }
+    // Multi-line messages start on the line below, keeping the first line's columns and location together
+    const multiline = body.includes('\n');
+    if (!multiline) {
+        log += body;
+    }
+    const { name: errorName, message: errorMessage, cause, errors, ...errorDetails } = info[ERROR] || {};
+    const { httpRequest, ...contextFields } = info[CONTEXT] || {};
+    const fields = renderPrettyFields(Object.assign({}, errorDetails, contextFields));
+    if (fields.inline) {
+        log += `${multiline ? '' : ' '}${fields.inline}`;
+    }
+    if (location) {
+        log += `${multiline && !fields.inline ? '' : ' '}${color('90', renderPrettyLocation(location))}`;
+    }
+    if (multiline) {
+        log += `\n  ${body.replace(/\n/g, '\n  ')}`;
+    }
+    if (fields.block) {
+        log += `\n${fields.block}`;
+    }
+    if (stack) {
+        log += `\n${color('90', stack)}`;
+    }
+    return log;
+}
+
+/**
+ * Renders an entry as a Cloud Logging structured JSON line.
+ * The fields of the entry are top-level fields, except where the logger writes its own: `severity`, `message`,
+ * `timestamp`, the source location, the attached Error as `error`, and so on always keep the logger's values.
+ * The stack trace, if any, is written to the `stack_trace` field, where Error Reporting picks it up.
+ * Request context fields (`traceId`, `spanId`, `traceSampled`, `executionId`) are mapped to
+ * the special fields Cloud Logging uses to correlate entries with traces and executions.
+ * The labels of the detected runtime are written to `logging.googleapis.com/labels` too.
+ * @private
+ * @param {Object} info - The winston info object.
+ * @returns {string} The JSON-encoded log entry.
+ */
+function renderJson(info) {
+    // Properties other than the rendered ones are the logger's own, e.g. the source location
+    const { level, message, timestamp, stack, ...properties } = info;
+    const { traceId, spanId, traceSampled, executionId, ...fields } = info[CONTEXT] || {};
+    const entry = Object.assign({}, fields, properties, {
+        severity: SEVERITIES[level] || 'DEFAULT',
+        message,
+        timestamp,
+    });
+    if (info[ERROR]) {
+        entry.error = info[ERROR];
+    }
+    if (info[LOGGER_NAME]) {
+        entry.logger = info[LOGGER_NAME];
+    }
+    if (stack) {
+        entry.stack_trace = stack;
+    }
+    if (traceId) {
+        const projectId = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCLOUD_PROJECT;
+        entry['logging.googleapis.com/trace'] = projectId ? `projects/${projectId}/traces/${traceId}` : traceId;
+    }
+    if (spanId) {
+        entry['logging.googleapis.com/spanId'] = spanId;
+    }
+    if (traceSampled !== undefined) {
+        entry['logging.googleapis.com/trace_sampled'] = traceSampled;
+    }
+    if (executionId || info[RUNTIME_LABELS]) {
+        entry['logging.googleapis.com/labels'] = Object.assign(
+            {},
+            info[RUNTIME_LABELS],
+            fields['logging.googleapis.com/labels'],
+            executionId ? { execution_id: executionId } : {}
+        );
+    }
+    return safeStringify(entry);
+}
+
+/**
+ * Pads a number with leading zeros.
+ * @private
+ * @param {number} value - The number.
+ * @param {number} [length=2] - The number of digits.
+ * @returns {string} The padded number.
+ */
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Creates a format setting the `timestamp` of entries to the time they were logged: {@link LOGGED_AT} if set,
+ * else the current time.
+ * @private
+ * @param {function(Date): string} render - Renders the time.
+ * @returns {winston.Format} The format.
+ */
+function timestamp(render) {
+    return winston.format((info) => {
+        info.timestamp = render(info[LOGGED_AT] || new Date());
+        return info;
+    })();
+}
+
+/**
+ * Renders a local time as `HH:mm:ss`.
+ * @private
+ * @param {Date} date - The time.
+ * @returns {string} The rendered time.
+ */
+function renderTime(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Creates the final winston format, which renders each entry in the currently selected output format.
+ * @param {function(): (string|undefined)} getFormat - Returns the name of the output format to use
+ *                                                     ('text', 'json' or 'pretty'); 'text' if undefined.
+ * @returns {winston.Format} The output format.
+ */
+function createOutputFormat(getFormat) {
+    const formats = {
+        text: winston.format.combine(
+            timestamp((date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${renderTime(date)}`),
+            winston.format.printf(renderText)
+        ),
+        json: winston.format.combine(
+            timestamp((date) => date.toISOString()),
+            winston.format.printf(renderJson)
+        ),
+        pretty: winston.format.combine(
+            timestamp((date) => `${renderTime(date)}.${pad(date.getMilliseconds(), 3)}`),
+            winston.format.printf(renderPretty)
+        ),
+    };
+    return winston.format((info) => (formats[getFormat()] || formats.text).transform(info))();
+}
+
+module.exports = {
+    FORMATS,
+    SOURCE_LOCATION,
+    POSITION,
+    RUNTIME_LABELS,
+    LOGGED_AT,
+    CONTEXT,
+    ERROR,
+    LOGGER_NAME,
+    validateFormat,
+    createOutputFormat,
+};
@@ -0,0 +1,144 @@
+/**
+ * HTTP access logging: one entry per request, written when the response finishes, with the request details in the
+ * `httpRequest` shape Cloud Logging understands.
+ * @module logger/http
+ */
+
+const { getRequestContext } = require('./context');
+
+/**
+ * Gets the path of a request URL, without the query string.
+ * @private
+ * @param {string} url - The request URL.
+ * @returns {string} The path.
+ */
+function getPath(url) {
+    const query = url.indexOf('?');
+    return query === -1 ? url : url.slice(0, query);
+}
+
+/**
+ * Compiles the `skip` option into a predicate.
+ * @private
+ * @param {Array<string|RegExp>|function(Object, Object): boolean} [skip=[]] - Paths (exact matches) or RegExps
+ *        tested against the path, or a function receiving the request and the response.
+ * @returns {function(Object, Object): boolean} Returns whether a request should not be logged.
+ * @throws {Error} If the option is neither an array nor a function.
+ */
+function compileSkip(skip = []) {
+    if (typeof skip === 'function') {
+        return skip;
+    }
+    if (!Array.isArray(skip)) {
+        throw new Error('The "skip" option must be an array of paths and RegExps, or a function');
+    }
+    return (req) => {
+        const requestPath = getPath(req.originalUrl || req.url || '');
+        return skip.some((rule) => (rule instanceof RegExp ? rule.test(requestPath) : rule === requestPath));
+    };
+}
+
+/**
+ * Gets the IP address of the client, preferring Express' `req.ip` and then the first `X-Forwarded-For` address,
+ * which is the client's address behind the Google front end.
+ * @private
+ * @param {Object} req - The request.
+ * @returns {string|undefined} The IP address.
+ */
+function getRemoteIp(req) {
+    const forwardedFor = (req.headers || {})['x-forwarded-for'];
+    if (req.ip) {
+        return req.ip;
+    }
+    if (typeof forwardedFor === 'string' && forwardedFor) {
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket ? req.socket.remoteAddress : undefined;
+}
+
+/**
+ * Builds the Cloud Logging `httpRequest` field of a finished request.
+ * @param {Object} req - The request.
+ * @param {Object} res - The response.
+ * @param {number} latencyMs - Time from the start of the request to the end of the response, in milliseconds.
+ * @returns {Object} The `httpRequest` field. Sizes are strings, and the latency is a duration such as `"0.012s"`,
+ *                   as in the Cloud Logging API; fields that are not known are left out.
+ */
+function getHttpRequest(req, res, latencyMs) {
+    const headers = req.headers || {};
+    const responseSize = res.getHeader('content-length');
+    const httpRequest = {
+        requestMethod: req.method,
+        requestUrl: req.originalUrl || req.url,
+        requestSize: headers['content-length'],
+        status: res.statusCode,
+        responseSize: responseSize !== undefined ? String(responseSize) : undefined,
+        userAgent: headers['user-agent'],
+        remoteIp: getRemoteIp(req),
+        referer: headers.referer,
+        latency: `${(latencyMs / 1000).toFixed(9).replace(/\.?0+$/, '')}s`,
+        protocol: req.httpVersion ? `HTTP/${req.httpVersion}` : undefined,
+    };
+    for (const key of Object.keys(httpRequest)) {
+        if (httpRequest[key] === undefined) {
+            delete httpRequest[key];
+        }
+    }
+    return httpRequest;
+}
+
+/**
+ * Gets the level of an access-log entry from the response status: "error" for 5xx, "warn" for 4xx, "info" otherwise.
+ * @param {number} status - The response status code.
+ * @returns {string} The level.
+ */
+function getStatusLevel(status) {
+    if (status >= 500) {
+        return 'error';
+    }
+    return status >= 400 ? 'warn' : 'info';
+}
+
+/**
+ * Creates an Express-style middleware writing one access-log entry per request when the response finishes
+ * (or the connection closes first). The entry's message is `METHOD URL STATUS LATENCYms`; its fields are
+ * the `httpRequest` field and the request's trace fields (see {@link module:logger/context.getRequestContext}).
+ * @param {Object} [options] - Middleware options.
+ * @param {Array<string|RegExp>|function(Object, Object): boolean} [options.skip] - Requests not to log, e.g.
+ *        health checks: paths matched exactly, RegExps tested against the path, or a function of the request
+ *        and the response.
+ * @param {function(string, string, Object): void} write - Writes an entry from its level, message and fields.
+ * @returns {function(Object, Object, Function): void} The middleware.
+ * @throws {Error} If the options are invalid.
+ */
+function createRequestLogger(options, write) {
+    const shouldSkip = compileSkip((options || {}).skip);
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        let logged = false;
+        const onEnd = () => {
+            if (logged) {
+                return;
+            }
+            logged = true;
+            res.removeListener('finish', onEnd);
+            res.removeListener('close', onEnd);
+            if (shouldSkip(req, res)) {
+                return;
+            }
+            const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+            const httpRequest = getHttpRequest(req, res, latencyMs);
+            const message = `${httpRequest.requestMethod} ${httpRequest.requestUrl} ${httpRequest.status} ${Math.round(latencyMs * 1000) / 1000}ms`;
+            write(getStatusLevel(res.statusCode), message, Object.assign(getRequestContext(req), { httpRequest }));
+        };
+        res.on('finish', onEnd);
+        res.on('close', onEnd);
+        next();
+    };
+}
+
+module.exports = {
+    getHttpRequest,
+    getStatusLevel,
+    createRequestLogger,
+};
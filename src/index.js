@@ -1,135 +1,999 @@
 /**
  * A module for creating and configuring a logger with custom formatting and transports.
- * Implements a singleton pattern to ensure a single logger instance across the application.
+ * Implements a singleton pattern to ensure a single logger instance across the application,
+ * and a factory for independent, named instances (e.g. for libraries).
  * @module logger
  */
 
 const winston = require('winston');
 const path = require('path');
+const url = require('url');
+const util = require('util');
+const {
+    SOURCE_LOCATION,
+    POSITION,
+    RUNTIME_LABELS,
+    LOGGED_AT,
+    CONTEXT,
+    ERROR,
+    LOGGER_NAME,
+    validateFormat,
+    createOutputFormat,
+} = require('./formats');
+const { LEVELS, validateLevel, createLevelResolver } = require('./levels');
+const context = require('./context');
+const { isError, isPlainObject, toSerializable, formatErrorStack, safeStringify } = require('./serialize');
+const { createRedactor } = require('./redact');
+const {
+    captureCallSites,
+    captureCallerSites,
+    findCallerIndex,
+    formatCallSites,
+    createLocationFilter,
+    stripInternalFrames,
+} = require('./callsite');
+const { resolvePosition, mapStackTrace, clearSourceMapCache } = require('./sourcemap');
+const { FileTransport, MemoryTransport, createTransports, flushTransports } = require('./transports');
+const { createSampler, createRateLimiter } = require('./ratelimit');
+const { createRequestLogger } = require('./http');
+const { loadConfig, mergeOptions } = require('./config');
+const { createPluginPipeline } = require('./plugins');
+const { detectRuntime } = require('./runtime');
+const { createFlightRecorder } = require('./recorder');
 
-// Module-level variables for singleton pattern
+// Module-level variable for singleton pattern
 let loggerInstance = null;
-let prefix = '';
 
 /**
- * Creates the logger instance with custom formatting and transports.
- * This function is called only once to initialize the singleton.
+ * Default mapping of console methods to logger levels, used by `patchConsole`.
+ * @private
+ * @type {Object<string, string>}
+ */
+const CONSOLE_LEVELS = {
+    debug: 'debug',
+    log: 'info',
+    info: 'info',
+    warn: 'warn',
+    error: 'error',
+};
+
+/**
+ * Process events `handleProcessEvents` can log, with the exit code used for each when exiting.
+ * @private
+ * @type {Object<string, number>}
+ */
+const PROCESS_EVENTS = {
+    uncaughtException: 1,
+    unhandledRejection: 1,
+    SIGTERM: 143,
+};
+
+/**
+ * Options of the error methods' `(message, errOrMeta, options)` signature. Objects with other keys are metadata.
+ * @private
+ * @type {string[]}
+ */
+const ERROR_LOG_OPTIONS = ['stack'];
+
+// The console is global, so at most one logger routes it at a time: its original methods and the patching instance
+let consolePatch = null;
+
+// Whether any logger is writing an entry; console calls made meanwhile (e.g. by a transport) are not routed
+let writingEntry = false;
+
+/**
+ * Runs a function while an entry is being written, so console calls it makes go straight to the original methods.
+ * @private
+ * @param {Function} fn - The function.
+ * @returns {any} The result of the function.
+ */
+function whileWriting(fn) {
+    const previous = writingEntry;
+    writingEntry = true;
+    try {
+        return fn();
+    } finally {
+        writingEntry = previous;
+    }
+}
+
+/**
+ * Restores the console methods replaced by `patchConsole`.
+ * @private
+ */
+function restoreConsole() {
+    if (consolePatch) {
+        Object.assign(console, consolePatch.originals);
+        consolePatch = null;
+    }
+}
+
+/**
+ * Measures an entry kept by the flight recorder, including its fields and attached Error.
+ * @private
+ * @param {Object} entry - The winston info object.
+ * @returns {number} The size of the entry as serialized JSON, in bytes.
+ */
+function measureEntry(entry) {
+    return Buffer.byteLength(safeStringify([entry, entry[CONTEXT], entry[ERROR]]));
+}
+
+/**
+ * Computes the time elapsed since a high-resolution start time.
+ * @private
+ * @param {bigint} start - The start time, from `process.hrtime.bigint()`.
+ * @returns {number} The elapsed time in milliseconds, rounded to microseconds.
+ */
+function elapsedMs(start) {
+    return Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3;
+}
+
+/**
+ * Creates a logger instance with custom formatting and transports.
+ * Used once to initialize the singleton, and by {@link createLogger} for independent instances.
  * @private
  * @param {string} initialPrefix - The prefix to exclude from filename when logging.
+ * @param {Object} [options] - Logger options.
+ * @param {string} [options.name] - Name shown in every entry, to tell apart entries from different subsystems.
+ * @param {Array<Object|winston.transport>} [options.transports] - Winston transports, or transport specifications
+ *                                                               such as `{ type: 'file', filename, level, format }`
+ *                                                               (see {@link module:logger/transports.createTransports}).
+ *                                                               Defaults to the console.
+ * @param {string} [options.format] - Output format: 'text' for single-line output, 'json' for Google Cloud Logging
+ *                                     structured entries, 'pretty' for colorized output with clickable locations.
+ *                                     Defaults to 'pretty' for consoles attached to a terminal, 'text' otherwise.
+ * @param {string} [options.level='debug'] - Minimum level to log. Less severe entries are dropped.
+ * @param {Object<string, string>} [options.moduleLevels] - Minimum levels for source files matching globs, overriding
+ *                                                          `level`, e.g. `{ 'services/payments*': 'debug' }`
+ *                                                          (see {@link module:logger/levels.createLevelResolver}).
+ * @param {Object} [options.serializer] - Limits applied when serializing logged values.
+ * @param {number} [options.serializer.maxDepth=10] - Maximum nesting depth of objects and arrays.
+ * @param {number} [options.serializer.maxArrayLength=100] - Maximum number of items kept from arrays, sets and maps.
+ * @param {number} [options.serializer.maxStringLength=10000] - Maximum number of characters kept from strings.
+ * @param {Object} [options.redact] - Redaction of sensitive data, applied to messages, bound context and metadata
+ *                                    (see {@link module:logger/redact.createRedactor}).
+ * @param {Array<string|RegExp>} [options.ignoreCallers] - Files, directories or function names to skip when resolving
+ *                                                        the caller, e.g. the application's own logging helpers.
+ * @param {boolean} [options.stripInternalFrames=false] - Whether to leave `node_modules` and `node:internal` frames
+ *                                                        out of stack traces.
+ * @param {boolean} [options.sourceMaps=false] - Whether to map caller locations and stack traces of compiled or bundled
+ *                                               code back to the original sources using their source maps.
+ * @param {Object} [options.rateLimit] - Rate limiting of repeated entries, with suppressed duplicates reported in
+ *                                       summary entries (see {@link module:logger/ratelimit.createRateLimiter}).
+ * @param {Object<string, number>} [options.sampling] - Fraction of entries kept per level, e.g. `{ debug: 0.1 }`.
+ * @param {boolean|Object<string, boolean>} [options.captureLocation=true] - Whether to capture the caller location,
+ *                                                                          for all levels or per level,
+ *                                                                          e.g. `{ debug: false }`.
+ * @param {boolean|Object} [options.detectRuntime=false] - Whether to detect the Firebase or Google Cloud runtime,
+ *                                                       labeling JSON entries with it and defaulting the console
+ *                                                       format to 'json' in the cloud and 'pretty' in the emulator
+ *                                                       (see {@link module:logger/runtime.detectRuntime}).
+ *                                                       `{ env }` detects it from the given environment variables
+ *                                                       instead of `process.env`.
+ * @param {Object} [options.flightRecorder] - Keeps the last entries below the minimum level in memory, per request
+ *                                           context, and writes them, marked as `backfilled`, before the next entry
+ *                                           at the trigger level or more severe
+ *                                           (see {@link module:logger/recorder.createFlightRecorder}).
+ * @param {Array<Object>} [options.plugins] - Plugins with `beforeLog` and `afterLog` hooks, to enrich, drop or forward
+ *                                            entries (see {@link module:logger/plugins.createPluginPipeline}).
  * @returns {Object} The configured logger instance with functions for logging at different levels.
  */
-function createLoggerInstance(initialPrefix = '') {
-    // Set prefix on first initialization only
-    if (initialPrefix) {
-        prefix = initialPrefix;
-    }
+function createLoggerInstance(initialPrefix = '', options = {}) {
+    let prefix = initialPrefix || '';
+    const name = options.name;
+    // Unset by default, so each transport picks its own default format
+    let outputFormat = options.format ? validateFormat(options.format) : undefined;
+    let minLevel = validateLevel(options.level || 'debug');
+    const moduleLevels = options.moduleLevels || {};
+    const resolveModuleLevel = Object.keys(moduleLevels).length ? createLevelResolver(moduleLevels) : null;
+    // Most verbose level enabled by any module rule; less severe entries can be dropped before resolving the caller
+    const maxModuleLevel = Math.max(...Object.keys(moduleLevels).map((glob) => LEVELS[moduleLevels[glob]]));
+    const limits = options.serializer || {};
+    const redactor = options.redact ? createRedactor(options.redact) : null;
+    const ignoreCallers = (options.ignoreCallers || []).slice();
+    const stripInternal = Boolean(options.stripInternalFrames);
+    const sourceMaps = Boolean(options.sourceMaps);
+    const sample = options.sampling ? createSampler(options.sampling) : null;
+    const rateLimitBy = options.rateLimit ? options.rateLimit.by || 'callsite' : null;
+    const captureLocation = createLocationFilter(options.captureLocation);
+    const plugins = createPluginPipeline(options.plugins);
+    const runtime = options.detectRuntime
+        ? detectRuntime(options.detectRuntime === true ? process.env : options.detectRuntime.env)
+        : null;
+    const runtimeLabels = runtime && runtime.runtime ? runtime.labels : undefined;
+    const recorder = options.flightRecorder ? createFlightRecorder(options.flightRecorder, measureEntry) : null;
+
+    /**
+     * Serializes a logged value and redacts sensitive data from it.
+     * @private
+     * @param {any} value - The value to log.
+     * @returns {any} The serializable, redacted value.
+     */
+    const sanitize = (value) => {
+        const serialized = toSerializable(value, limits);
+        return redactor ? redactor(serialized) : serialized;
+    };
+
+    /**
+     * Serializes a logged value, redacts sensitive data from it and renders it as text: strings as they are,
+     * other values as JSON.
+     * @private
+     * @param {any} value - The value to log.
+     * @returns {string} The rendered value.
+     */
+    const sanitizeText = (value) => {
+        const serialized = sanitize(value);
+        return typeof serialized === 'string' ? serialized : JSON.stringify(serialized);
+    };
 
     const winstonLogger = winston.createLogger({
+        levels: LEVELS,
+        level: 'debug',
         /**
-         * Formats log messages with timestamp, label, level, message, and optionally stack trace.
+         * Prepares entries for the transports, which render them with timestamp, level, caller location, message,
+         * and optionally stack trace, each in its own output format.
          * @type {winston.Format}
          */
-        format: winston.format.combine(
-            winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-            winston.format.errors({ stack: true }),
-            winston.format.splat(),
-            winston.format.printf(({ level, message, label, timestamp, stack }) => {
-                let log = `${timestamp} [${level.toUpperCase()}]: ${message}`;
-                if (stack) {
-                    log += `\n${stack}`;
-                }
-                return log;
-            })
-        ),
-        transports: [
-            new winston.transports.Console()
-        ]
+        format: winston.format.errors({ stack: true }),
+        transports: createTransports(options.transports, () => outputFormat, runtime ? runtime.format : undefined)
+    });
+
+    // Winston re-emits transport failures, which would throw from the logging call without a listener;
+    // each failing transport is reported once instead, and keeps being used
+    const failedTransports = new WeakSet();
+    winstonLogger.on('error', (err, transport) => {
+        if (!transport || failedTransports.has(transport)) {
+            return;
+        }
+        failedTransports.add(transport);
+        const description = transport.filename || transport.name || transport.constructor.name;
+        process.emitWarning(
+            `Logger transport "${description}" failed, further failures will not be reported: ${err && err.message ? err.message : err}`,
+            'LoggerTransportWarning'
+        );
     });
 
     /**
-     * Retrieves the filename and line number of the calling code, excluding the prefix.
+     * Logs a summary of the entries suppressed by rate limiting, at the level and caller location of the last one.
+     * The count is already part of the message, and is the entry's `suppressed` property for structured output.
      * @private
-     * @param {number} [depth=3] - The stack depth to retrieve the caller's filename and line number.
-     * @returns {string} The filename and line number in the format "filename:lineNumber".
-     */
-    function formatWithFileAndLine(depth = 3) {
-        const originalPrepareStackTrace = Error.prepareStackTrace;
-        Error.prepareStackTrace = (_, stack) => stack;
-        const stack = new Error().stack.slice(depth);
-        Error.prepareStackTrace = originalPrepareStackTrace;
-        const callee = stack[0];
+     * @param {number} count - The number of suppressed entries.
+     * @param {{level: string, location: (Object|undefined)}} details - The level and caller location, if captured,
+     *                                                                 of the last suppressed entry.
+     */
+    const logSuppressed = (count, details) => {
+        const { level, location } = details;
+        write({
+            level,
+            message: `suppressed ${count} identical messages${location ? ` from ${location.file}:[${location.line}]` : ''}`,
+            suppressed: count,
+            [SOURCE_LOCATION]: location,
+            [LOGGER_NAME]: name,
+            [RUNTIME_LABELS]: runtimeLabels,
+        });
+    };
+
+    const rateLimit = options.rateLimit ? createRateLimiter(options.rateLimit, logSuppressed) : null;
+    const timers = new Map();
+    const captures = new Set();
+    let processListeners = null;
+    let closed = false;
+
+    /**
+     * Retrieves the filename, line number and function name of a call site, excluding the prefix.
+     * @private
+     * @param {NodeJS.CallSite} [callee] - The caller's call site.
+     * @returns {{file: string, line: number, function: (string|undefined)}} The caller's source location,
+     *          with the absolute path and the column under {@link POSITION}.
+     */
+    function getCallerLocation(callee) {
+        if (!callee) {
+            return { file: '<unknown>', line: 0, function: undefined };
+        }
         let fileName = callee.getFileName();
+        let line = callee.getLineNumber();
+        let column = callee.getColumnNumber();
+        const original = sourceMaps ? resolvePosition(fileName, line, column) : null;
+        if (original) {
+            fileName = original.file;
+            line = original.line;
+            column = original.column;
+        }
+        const absolutePath = fileName.startsWith('file:') ? url.fileURLToPath(fileName) : fileName;
         if (prefix && fileName.startsWith(prefix)) {
             fileName = fileName.substring(prefix.length);
         }
-        return `${fileName}:[${callee.getLineNumber()}]`;
+        return {
+            file: fileName,
+            line,
+            function: callee.getFunctionName() || undefined,
+            [POSITION]: { path: absolutePath, column },
+        };
     }
 
+    /**
+     * Applies source maps and internal frame stripping to a stack trace, as configured.
+     * @private
+     * @param {string} stack - The stack trace.
+     * @returns {string} The processed stack trace.
+     */
+    const processStack = (stack) => {
+        const mapped = sourceMaps ? mapStackTrace(stack) : stack;
+        return stripInternal ? stripInternalFrames(mapped) : mapped;
+    };
+
+    /**
+     * Hands an entry to the transports, then to the `afterLog` plugin hooks and event listeners.
+     * @private
+     * @param {Object} entry - The winston info object.
+     */
+    const write = (entry) => whileWriting(() => {
+        winstonLogger.log(entry);
+        plugins.afterLog({
+            level: entry.level,
+            message: entry.message,
+            fields: entry[CONTEXT] || {},
+            location: entry[SOURCE_LOCATION],
+            error: entry[ERROR],
+            stack: entry.stack,
+        }, LEVELS[entry.level] <= LEVELS.error);
+    });
+
+    /**
+     * Logs a message with optional stack trace and additional arguments, attributing it to the caller found in the
+     * given call sites. Entries below the minimum level are dropped, or kept by the flight recorder, if any,
+     * and written before the next entry triggering it. Kept entries are built when logged, to keep the state
+     * of their values at that time and measure them, but do not go through the `beforeLog` plugin hooks.
+     * @private
+     * @param {Array<NodeJS.CallSite>|null} capturedSites - Call sites captured earlier, for entries written
+     *                                                      asynchronously; null to capture them now.
+     * @param {Object} bindings - Context fields bound to the logger, merged into the entry
+     *                            on top of the fields of the active request context.
+     * @param {string} level - The log level, one of {@link LEVELS}.
+     * @param {any} message - The message to log. Functions are called, only if the entry is written or kept
+     *                       by the flight recorder, and their return value is logged instead. Errors are serialized with their own stack trace,
+     *                       custom properties, `cause` chain and aggregated errors; other values are
+     *                       serialized safely (see {@link module:logger/serialize.toSerializable}).
+     * @param {boolean} includeStack - Whether to include the stack trace in the log message.
+     *                                 Ignored for Errors, which always include their own stack trace.
+     * @param {Array<any>} args - Additional arguments. After the ones consumed by format tokens such as `%s`,
+     *                            plain objects are metadata whose fields are added to the entry, the first Error
+     *                            is attached to it, with its stack trace, other Errors are serialized into its
+     *                            `errors` field, and other values are appended to the message, separated by spaces.
+     */
+    const logAt = (capturedSites, bindings, level, message, includeStack, args) => {
+        // With a flight recorder, entries below the minimum level are built too, to be recorded
+        if (closed || (!recorder && LEVELS[level] > LEVELS[minLevel] && !(LEVELS[level] <= maxModuleLevel)) || (sample && !sample(level))) {
+            return;
+        }
+        const withLocation = captureLocation(level);
+        let sites = capturedSites || [];
+        if (!capturedSites && (withLocation || includeStack)) {
+            sites = includeStack ? captureCallSites() : captureCallerSites(ignoreCallers);
+        }
+        const callerIndex = findCallerIndex(sites, ignoreCallers);
+        const location = withLocation ? getCallerLocation(sites[callerIndex]) : undefined;
+        // Without a location, module rules cannot apply and the minimum level does
+        const moduleLevel = resolveModuleLevel && location ? resolveModuleLevel(location.file) : undefined;
+        const belowLevel = LEVELS[level] > LEVELS[moduleLevel !== undefined ? moduleLevel : minLevel];
+        if (belowLevel && !recorder) {
+            return;
+        }
+        if (typeof message === 'function') {
+            try {
+                message = message();
+            } catch (err) {
+                // Logging never throws: the failure is logged instead of the message
+                message = err;
+            }
+        }
+        // Arguments consumed by format tokens such as %s are interpolated into the message; after them, plain objects
+        // are metadata fields, the first Error is attached to the entry, other Errors are listed in `errors`,
+        // and other values are appended to the message, as util.format does
+        const tokens = typeof message === 'string'
+            ? (message.match(/%[scdjifoO%]/g) || []).filter((token) => token !== '%%').length
+            : 0;
+        const tokenArgs = args.slice(0, tokens);
+        const metadata = {};
+        const errors = [];
+        const appended = [];
+        let attachedError;
+        for (const arg of args.slice(tokens)) {
+            if (isPlainObject(arg)) {
+                // Serialized on its own first, so references back to the object itself are marked as cycles
+                const serialized = toSerializable(arg, limits);
+                if (isPlainObject(serialized)) {
+                    Object.assign(metadata, serialized);
+                } else {
+                    appended.push(serialized);
+                }
+            } else if (isError(arg)) {
+                if (!attachedError && !isError(message)) {
+                    attachedError = arg;
+                } else {
+                    errors.push(arg);
+                }
+            } else {
+                appended.push(arg);
+            }
+        }
+        if (errors.length) {
+            metadata.errors = errors;
+        }
+        const draft = { level, message, fields: Object.assign({}, context.getContext(), bindings, metadata), location };
+        // Entries kept by the flight recorder skip the beforeLog hooks, which only see entries written right away
+        if (!belowLevel && !plugins.beforeLog(draft)) {
+            return;
+        }
+        message = draft.message;
+        // Fields are kept apart from the entry's own properties, so they never replace its level, message or stack
+        const entry = {
+            level,
+            [SOURCE_LOCATION]: location,
+            [CONTEXT]: sanitize(draft.fields),
+            [LOGGER_NAME]: name,
+            [RUNTIME_LABELS]: runtimeLabels,
+        };
+        const error = isError(message) ? message : attachedError;
+        if (error) {
+            entry[ERROR] = sanitize(error);
+            try {
+                entry.stack = sanitize(processStack(formatErrorStack(error)));
+            } catch (err) {
+                // Logging never throws: the entry is written without the stack trace
+                entry.stack = `[Unformattable stack: ${err && err.message}]`;
+            }
+        }
+        if (isError(message)) {
+            entry.message = entry[ERROR].message || entry[ERROR].name;
+        } else {
+            entry.message = sanitizeText(message);
+            if (tokenArgs.length) {
+                // Numbers are left as they are for %d, %i and %f
+                entry.message = util.format(entry.message, ...tokenArgs.map((arg) => (typeof arg === 'number' ? arg : sanitize(arg))));
+            }
+            if (includeStack && !error) {
+                // Start the trace at the caller rather than inside the logger
+                entry.stack = processStack(formatCallSites('Error', callerIndex === -1 ? [] : sites.slice(callerIndex)));
+            }
+        }
+        if (appended.length) {
+            entry.message += ` ${appended.map(sanitizeText).join(' ')}`;
+        }
+        if (belowLevel) {
+            entry[LOGGED_AT] = new Date();
+            recorder.record(context.getContext(), entry);
+            return;
+        }
+        if (rateLimit) {
+            const key = rateLimitBy === 'message' || !location ? entry.message : `${location.file}:${location.line}`;
+            if (!rateLimit.allow(`${level} ${key}`, { level, location })) {
+                return;
+            }
+        }
+        if (recorder && recorder.triggers(level)) {
+            for (const recorded of recorder.drain(context.getContext())) {
+                recorded[CONTEXT] = Object.assign({}, recorded[CONTEXT], { backfilled: true });
+                write(recorded);
+            }
+        }
+        write(entry);
+    };
+
     /**
      * Logs a message with optional stack trace and additional arguments.
      * @private
-     * @param {string} level - The log level ('info', 'warn', or 'error').
+     * @param {Object} bindings - Context fields bound to the logger.
+     * @param {string} level - The log level, one of {@link LEVELS}.
      * @param {any} message - The message to log.
      * @param {boolean} includeStack - Whether to include the stack trace in the log message.
      * @param {...any} args - Additional arguments to include in the log message.
      */
-    const customLog = (level, message, includeStack = false, ...args) => {
-        const fileAndLine = formatWithFileAndLine();
-        const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
-        let logMessage = `${fileAndLine} - ${messageStr}`;
-        if (includeStack) {
-            const stackTrace = new Error().stack;
-            logMessage += `\n${stackTrace}`;
+    const customLog = (bindings, level, message, includeStack = false, ...args) => {
+        logAt(null, bindings, level, message, includeStack, args);
+    };
+
+    /**
+     * Logs a message at an error level, with either the `(message, errOrMeta, options)` signature
+     * or the positional `(message, includeStack, ...args)` one.
+     * @private
+     * @param {Object} bindings - Context fields bound to the logger.
+     * @param {string} level - The log level, one of {@link LEVELS}.
+     * @param {any} message - The message to log.
+     * @param {Error|Object|boolean} [errOrMeta] - An Error to attach to the entry, metadata fields,
+     *                                            or whether to include the stack trace.
+     * @param {Array<any>} rest - With an Error or metadata, the options (`{ stack: true }` to include the stack trace)
+     *                            and additional arguments; with a boolean, the additional arguments. Only objects
+     *                            whose keys are all options are options, so further metadata is never lost.
+     */
+    const customErrorLog = (bindings, level, message, errOrMeta, rest) => {
+        if (typeof errOrMeta === 'boolean') {
+            logAt(null, bindings, level, message, errOrMeta, rest);
+            return;
+        }
+        const keys = isPlainObject(rest[0]) ? Object.keys(rest[0]) : [];
+        const hasOptions = keys.length > 0 && keys.every((key) => ERROR_LOG_OPTIONS.includes(key));
+        const logOptions = hasOptions ? rest[0] : {};
+        const args = rest.slice(hasOptions ? 1 : 0);
+        logAt(null, bindings, level, message, Boolean(logOptions.stack),
+            errOrMeta === undefined || errOrMeta === null ? args : [errOrMeta].concat(args));
+    };
+
+    /**
+     * Sets the prefix to exclude from filename when logging.
+     * @param {string} newPrefix - The prefix to exclude from filename when logging.
+     */
+    const setPrefix = (newPrefix) => {
+        prefix = newPrefix || '';
+    };
+
+    /**
+     * Adds a file, directory or function name to skip when resolving the caller.
+     * Logging helpers that wrap the logger can register themselves so entries point at their callers instead.
+     * @param {string|RegExp} rule - A file or directory path, a function name, or a RegExp tested against both.
+     *
+     * @example
+     * // In a helper module wrapping the logger
+     * logger.ignoreCaller(__filename);
+     */
+    const ignoreCaller = (rule) => {
+        ignoreCallers.push(rule);
+    };
+
+    /**
+     * Sets the output format.
+     * @param {string} format - 'text' for single-line output, 'json' for Google Cloud Logging structured entries,
+     *                          'pretty' for colorized output with clickable locations.
+     * @throws {Error} If the format is not supported.
+     */
+    const setFormat = (format) => {
+        outputFormat = validateFormat(format);
+    };
+
+    /**
+     * Sets the minimum level to log. Entries below this level are dropped before any formatting work.
+     * @param {string} level - The minimum level, one of {@link LEVELS}.
+     * @throws {Error} If the level is not supported.
+     */
+    const setLevel = (level) => {
+        minLevel = validateLevel(level);
+    };
+
+    /**
+     * Gets the current minimum level.
+     * @returns {string} The minimum level.
+     */
+    const getLevel = () => minLevel;
+
+    /**
+     * Checks whether entries at the given level would be logged by the caller, applying the module rule matching
+     * its source file, if any. With module rules, the call site is captured to find that file.
+     * @param {string} level - The level to check.
+     * @returns {boolean} True if the level is at or above the minimum level of the caller.
+     * @throws {Error} If the level is not supported.
+     */
+    const isLevelEnabled = (level) => {
+        validateLevel(level);
+        let moduleLevel;
+        // Without a location, module rules cannot apply and the minimum level does, as when logging
+        if (resolveModuleLevel && captureLocation(level)) {
+            const sites = captureCallerSites(ignoreCallers);
+            moduleLevel = resolveModuleLevel(getCallerLocation(sites[findCallerIndex(sites, ignoreCallers)]).file);
         }
-        winstonLogger.log(level, logMessage, ...args);
+        return LEVELS[level] <= LEVELS[moduleLevel !== undefined ? moduleLevel : minLevel];
     };
 
     /**
-     * Logs a message at the "info" level.
-     * @param {string} message - The message to log.
-     * @param {...any} [args] - Additional arguments to include in the log message.
+     * Starts recording entries in memory, for assertions in tests.
+     * Captures record the entries of the whole instance, including those of child loggers,
+     * and are stopped by `stop()` or by {@link reset}.
+     * @param {Object} [captureOptions] - Capture options.
+     * @param {boolean} [captureOptions.silent=false] - Whether to mute the other transports while capturing.
+     * @returns {{entries: Array<Object>, find: Function, filter: Function, clear: Function, stop: Function}}
+     *          The capture: the recorded entries (see {@link module:logger/transports.MemoryTransport}),
+     *          `find(query)` and `filter(query)` to look them up, `clear()` to forget them and `stop()` to end the capture.
+     *
+     * @example
+     * const captured = logger.capture({ silent: true });
+     * await handler(request);
+     * assert(captured.find({ level: 'error', message: /timeout/ }));
+     * captured.stop();
      */
-    const info = (message, ...args) => customLog('info', message, false, ...args);
+    const capture = (captureOptions = {}) => {
+        const transport = new MemoryTransport({ format: createOutputFormat(() => outputFormat) });
+        const muted = captureOptions.silent
+            ? winstonLogger.transports.filter((other) => !(other instanceof MemoryTransport) && !other.silent)
+            : [];
+        muted.forEach((other) => {
+            other.silent = true;
+        });
+        winstonLogger.add(transport);
+        const captured = {
+            entries: transport.entries,
+            find: (query) => transport.find(query),
+            filter: (query) => transport.filter(query),
+            clear: () => transport.clear(),
+            stop: () => {
+                if (!captures.delete(captured)) {
+                    return;
+                }
+                winstonLogger.remove(transport);
+                muted.forEach((other) => {
+                    other.silent = false;
+                });
+            },
+        };
+        captures.add(captured);
+        return captured;
+    };
 
     /**
-     * Logs a message at the "warn" level.
-     * @param {string} message - The message to log.
-     * @param {...any} [args] - Additional arguments to include in the log message.
+     * Waits until every transport has finished writing the entries logged so far. Summaries of entries suppressed
+     * by rate limiting are written first. Await it before a serverless function returns or the process exits.
+     * @returns {Promise<void>} Resolves once everything is written.
      */
-    const warn = (message, ...args) => customLog('warn', message, false, ...args);
+    const flush = () => {
+        if (rateLimit) {
+            rateLimit.flush();
+        }
+        return flushTransports(winstonLogger);
+    };
 
     /**
-     * Logs a message at the "error" level.
-     * @param {string} message - The message to log.
-     * @param {boolean} [includeStack=false] - Whether to include the stack trace in the log message.
-     * @param {...any} [args] - Additional arguments to include in the log message.
+     * Flushes the logger, then closes its transports (e.g. log files). Entries logged afterwards are dropped.
+     * @returns {Promise<void>} Resolves once everything is written and the transports are closed.
      */
-    const error = (message, includeStack = false, ...args) => customLog('error', message, includeStack, ...args);
+    const close = () => flush().then(() => {
+        closed = true;
+        winstonLogger.close();
+    });
 
     /**
-     * Sets the prefix to exclude from filename when logging.
-     * @param {string} newPrefix - The prefix to exclude from filename when logging.
+     * Stops logging process events, removing the listeners added by {@link handleProcessEvents}.
      */
-    const setPrefix = (newPrefix) => {
-        prefix = newPrefix || '';
+    const removeProcessHandlers = () => {
+        if (processListeners) {
+            Object.keys(processListeners).forEach((event) => process.removeListener(event, processListeners[event]));
+            processListeners = null;
+        }
+    };
+
+    /**
+     * Logs uncaught exceptions, unhandled rejections and SIGTERM at the "critical" level, with full error
+     * serialization and the `processEvent` field, then flushes the logger and exits the process
+     * (with code 1, or 143 for SIGTERM). Calling it again replaces the previous handlers.
+     * @param {Object} [handlerOptions] - Handler options.
+     * @param {string[]} [handlerOptions.events] - The events to handle; defaults to all of
+     *                                             'uncaughtException', 'unhandledRejection' and 'SIGTERM'.
+     * @param {boolean} [handlerOptions.exit=true] - Whether to exit after flushing. Without exiting, the process
+     *                                               keeps running after uncaught errors, and SIGTERM no longer
+     *                                               terminates it unless another listener does.
+     * @param {number} [handlerOptions.timeout=3000] - Maximum time to wait for the flush before exiting, in milliseconds.
+     * @throws {Error} If an event is not supported.
+     */
+    const handleProcessEvents = (handlerOptions = {}) => {
+        const { events = Object.keys(PROCESS_EVENTS), exit = true, timeout = 3000 } = handlerOptions;
+        for (const event of events) {
+            if (!Object.prototype.hasOwnProperty.call(PROCESS_EVENTS, event)) {
+                throw new Error(`Unsupported process event "${event}". Expected one of: ${Object.keys(PROCESS_EVENTS).join(', ')}`);
+            }
+        }
+        removeProcessHandlers();
+        let exiting = false;
+        const onEvent = (event, value) => {
+            if (exiting) {
+                return;
+            }
+            // Process events have no meaningful caller; Errors carry their own stack trace
+            logAt([], { processEvent: event }, 'critical', value, false, []);
+            if (!exit) {
+                flush();
+                return;
+            }
+            exiting = true;
+            const exitProcess = () => process.exit(PROCESS_EVENTS[event]);
+            setTimeout(exitProcess, timeout).unref();
+            flush().then(exitProcess, exitProcess);
+        };
+        processListeners = {};
+        for (const event of events) {
+            processListeners[event] = event === 'SIGTERM'
+                ? () => onEvent(event, 'Received SIGTERM, shutting down')
+                : (value) => onEvent(event, value);
+            process.on(event, processListeners[event]);
+        }
     };
 
     /**
      * Resets the logger instance. Primarily for testing purposes.
-     * This clears the singleton, allowing a fresh logger to be created.
+     * If this is the singleton, it is cleared, allowing a fresh logger to be created.
+     * Active captures are stopped, process event handlers are removed,
+     * and the console is restored if this instance patched it.
      */
     const reset = () => {
-        loggerInstance = null;
+        captures.forEach((captured) => captured.stop());
+        removeProcessHandlers();
+        if (consolePatch && consolePatch.owner === root) {
+            restoreConsole();
+        }
+        if (loggerInstance === root) {
+            loggerInstance = null;
+        }
         prefix = '';
     };
 
-    return {
-        info,
-        warn,
-        error,
-        setPrefix,
-        reset,
-    };
+    /**
+     * Builds the logger object for a set of bound context fields.
+     * The root logger has no bindings; child loggers share the root's configuration.
+     * @private
+     * @param {Object} bindings - Context fields merged into every entry.
+     * @returns {Object} The logger object.
+     */
+    function createMethods(bindings) {
+        /**
+         * Logs a message at the "debug" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {...any} [args] - Metadata objects, whose fields are added to the entry, an Error to attach,
+         *                         or values for format tokens such as `%s`.
+         */
+        const debug = (message, ...args) => customLog(bindings, 'debug', message, false, ...args);
+
+        /**
+         * Logs a message at the "info" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {...any} [args] - Metadata objects, whose fields are added to the entry, an Error to attach,
+         *                         or values for format tokens such as `%s`.
+         */
+        const info = (message, ...args) => customLog(bindings, 'info', message, false, ...args);
+
+        /**
+         * Logs a message at the "notice" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {...any} [args] - Metadata objects, whose fields are added to the entry, an Error to attach,
+         *                         or values for format tokens such as `%s`.
+         */
+        const notice = (message, ...args) => customLog(bindings, 'notice', message, false, ...args);
+
+        /**
+         * Logs a message at the "warn" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {...any} [args] - Metadata objects, whose fields are added to the entry, an Error to attach,
+         *                         or values for format tokens such as `%s`.
+         */
+        const warn = (message, ...args) => customLog(bindings, 'warn', message, false, ...args);
+
+        /**
+         * Logs a message at the "error" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {Error|Object|boolean} [errOrMeta] - An Error to attach, metadata fields, or, as before, whether to include
+         *                                            the stack trace.
+         * @param {...any} [rest] - Options such as `{ stack: true }`, or the additional arguments after `includeStack`.
+         */
+        const error = (message, errOrMeta, ...rest) => customErrorLog(bindings, 'error', message, errOrMeta, rest);
+
+        /**
+         * Logs a message at the "critical" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {Error|Object|boolean} [errOrMeta] - An Error to attach, metadata fields, or, as before, whether to include
+         *                                            the stack trace.
+         * @param {...any} [rest] - Options such as `{ stack: true }`, or the additional arguments after `includeStack`.
+         */
+        const critical = (message, errOrMeta, ...rest) => customErrorLog(bindings, 'critical', message, errOrMeta, rest);
+
+        /**
+         * Logs a message at the "alert" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {Error|Object|boolean} [errOrMeta] - An Error to attach, metadata fields, or, as before, whether to include
+         *                                            the stack trace.
+         * @param {...any} [rest] - Options such as `{ stack: true }`, or the additional arguments after `includeStack`.
+         */
+        const alert = (message, errOrMeta, ...rest) => customErrorLog(bindings, 'alert', message, errOrMeta, rest);
+
+        /**
+         * Logs a message at the "emergency" level.
+         * @param {string|function(): any} message - The message to log, or a function computing it only if the entry is written.
+         * @param {Error|Object|boolean} [errOrMeta] - An Error to attach, metadata fields, or, as before, whether to include
+         *                                            the stack trace.
+         * @param {...any} [rest] - Options such as `{ stack: true }`, or the additional arguments after `includeStack`.
+         */
+        const emergency = (message, errOrMeta, ...rest) => customErrorLog(bindings, 'emergency', message, errOrMeta, rest);
+
+        /**
+         * Creates a child logger with additional bound context fields.
+         * Fields are merged into every entry the child writes, overriding the parent's fields with the same name.
+         * @param {Object} fields - The context fields to bind, e.g. `{ userId, orderId }`.
+         * @returns {Object} A logger with the same API as its parent.
+         */
+        const child = (fields) => createMethods(Object.assign({}, bindings, fields));
+
+        /**
+         * Starts a timer identified by a label, to be stopped with `timeEnd`.
+         * Starting a timer again with the same label restarts it.
+         * @param {string} label - The timer label.
+         */
+        const time = (label) => {
+            timers.set(label, process.hrtime.bigint());
+        };
+
+        /**
+         * Stops a timer started with `time` and logs its label at the "info" level, with the elapsed time
+         * in the `durationMs` field. Logs a warning if there is no timer with that label.
+         * @param {string} label - The timer label.
+         * @returns {number|undefined} The elapsed time in milliseconds, or undefined if the timer does not exist.
+         */
+        const timeEnd = (label) => {
+            if (!timers.has(label)) {
+                customLog(bindings, 'warn', `No timer with label "${label}"`);
+                return undefined;
+            }
+            const durationMs = elapsedMs(timers.get(label));
+            timers.delete(label);
+            customLog(Object.assign({}, bindings, { durationMs }), 'info', label);
+            return durationMs;
+        };
+
+        /**
+         * Starts an anonymous timer.
+         * @returns {{done: function(string, ...any): number}} The timer. Its `done(message, ...args)` logs the message
+         *          at the "info" level with the elapsed time in the `durationMs` field, and returns the elapsed time.
+         *
+         * @example
+         * const timer = logger.startTimer();
+         * const snapshot = await query.get();
+         * timer.done('Orders query');
+         */
+        const startTimer = () => {
+            const start = process.hrtime.bigint();
+            return {
+                done: (message, ...args) => {
+                    const durationMs = elapsedMs(start);
+                    customLog(Object.assign({}, bindings, { durationMs }), 'info', message, false, ...args);
+                    return durationMs;
+                },
+            };
+        };
+
+        /**
+         * Runs a function, synchronous or asynchronous, and logs how long it took and how it ended:
+         * "<label> succeeded" at the "info" level, or the error at the "error" level, which is then rethrown.
+         * Entries have the `operation` (the label), `durationMs` and `outcome` ('success' or 'failure') fields
+         * and point at the caller of `profile`, even when the function settles later.
+         * @param {string} label - The operation label.
+         * @param {Function} fn - The function to run.
+         * @returns {any} The return value of `fn`, or a promise of it if `fn` returns a promise.
+         */
+        const profile = (label, fn) => {
+            const sites = captureCallSites();
+            const start = process.hrtime.bigint();
+            const outcomeFields = (outcome) => Object.assign({}, bindings, {
+                operation: label,
+                durationMs: elapsedMs(start),
+                outcome,
+            });
+            const succeed = (result) => {
+                logAt(sites, outcomeFields('success'), 'info', `${label} succeeded`, false, []);
+                return result;
+            };
+            const fail = (err) => {
+                logAt(sites, outcomeFields('failure'), 'error', err, false, []);
+                throw err;
+            };
+            let result;
+            try {
+                result = fn();
+            } catch (err) {
+                return fail(err);
+            }
+            return result && typeof result.then === 'function' ? result.then(succeed, fail) : succeed(result);
+        };
+
+        /**
+         * Creates an Express-style middleware that writes one access-log entry per request when the response
+         * finishes, at the "error" level for 5xx responses, "warn" for 4xx and "info" otherwise.
+         * In JSON format, the request details are written to the Cloud Logging `httpRequest` field.
+         * Entries point at the line creating the middleware.
+         * @param {Object} [requestOptions] - Middleware options (see {@link module:logger/http.createRequestLogger}).
+         * @param {Array<string|RegExp>|Function} [requestOptions.skip] - Requests not to log, e.g. health checks.
+         * @returns {function(Object, Object, Function): void} The middleware.
+         *
+         * @example
+         * app.use(logger.requestLogger({ skip: ['/healthz'] }));
+         */
+        const requestLogger = (requestOptions) => {
+            const sites = captureCallSites();
+            return createRequestLogger(requestOptions, (level, message, fields) => {
+                logAt(sites, Object.assign({}, bindings, fields), level, message, false, []);
+            });
+        };
+
+        /**
+         * Routes `console.debug`, `console.log`, `console.info`, `console.warn` and `console.error` through this logger,
+         * so lines written by third-party or legacy code get the same formatting and the location of their real caller.
+         * Arguments are formatted like the console does, except that a single Error is logged as an Error.
+         * Patching again, from this or another logger, replaces the previous patch.
+         * @param {Object<string, string>} [levels] - Levels by console method, overriding the default mapping
+         *                                            (`debug` → debug, `log`/`info` → info, `warn` → warn, `error` → error).
+         * @throws {Error} If a console method or level is not supported.
+         */
+        const patchConsole = (levels = {}) => {
+            const mapping = Object.assign({}, CONSOLE_LEVELS);
+            for (const method of Object.keys(levels)) {
+                if (!Object.prototype.hasOwnProperty.call(CONSOLE_LEVELS, method)) {
+                    throw new Error(`Unsupported console method "${method}". Expected one of: ${Object.keys(CONSOLE_LEVELS).join(', ')}`);
+                }
+                mapping[method] = validateLevel(levels[method]);
+            }
+            restoreConsole();
+            const originals = {};
+            for (const method of Object.keys(mapping)) {
+                originals[method] = console[method];
+            }
+            for (const method of Object.keys(mapping)) {
+                console[method] = (...args) => {
+                    // Console calls made while any logger writes an entry (e.g. by its transports) are not routed
+                    if (writingEntry) {
+                        return originals[method].apply(console, args);
+                    }
+                    whileWriting(() => {
+                        const message = args.length === 1 && isError(args[0]) ? args[0] : util.format(...args);
+                        customLog(bindings, mapping[method], message);
+                    });
+                };
+            }
+            consolePatch = { owner: root, originals };
+        };
+
+        /**
+         * Restores the original console methods, if this logger instance patched them.
+         */
+        const unpatchConsole = () => {
+            if (consolePatch && consolePatch.owner === root) {
+                restoreConsole();
+            }
+        };
+
+        return {
+            debug,
+            info,
+            notice,
+            warn,
+            error,
+            critical,
+            alert,
+            emergency,
+            child,
+            time,
+            timeEnd,
+            startTimer,
+            profile,
+            requestLogger,
+            runWithContext: context.runWithContext,
+            getContext: context.getContext,
+            contextMiddleware: context.contextMiddleware,
+            withRequestContext: context.withRequestContext,
+            withCallContext: context.withCallContext,
+            setPrefix,
+            ignoreCaller,
+            setFormat,
+            setLevel,
+            getLevel,
+            isLevelEnabled,
+            use: plugins.use,
+            on: plugins.on,
+            off: plugins.off,
+            capture,
+            patchConsole,
+            unpatchConsole,
+            flush,
+            close,
+            handleProcessEvents,
+            removeProcessHandlers,
+            reset,
+        };
+    }
+
+    const root = createMethods({});
+    return root;
 }
 
 /**
@@ -140,7 +1004,7 @@ function createLoggerInstance(initialPrefix = '') {
 function getCallerDirname() {
     const originalPrepareStackTrace = Error.prepareStackTrace;
     Error.prepareStackTrace = (_, stack) => stack;
-    const stack = new Error().stack.slice(2); // Skip getCallerDirname and getLogger
+    const stack = new Error().stack.slice(2); // Skip getCallerDirname and getLogger / createLogger
     Error.prepareStackTrace = originalPrepareStackTrace;
     const caller = stack[0];
     const fileName = caller.getFileName();
@@ -148,14 +1012,21 @@ function getCallerDirname() {
 }
 
 /**
- * Gets the singleton logger instance. On first call, initializes the logger with optional prefix.
- * Subsequent calls return the same instance (prefix parameter is ignored).
+ * Gets the singleton logger instance. On first call, initializes the logger with optional prefix and options.
+ * Subsequent calls return the same instance (prefix and options parameters are ignored).
+ * On initialization, options set through `LOG_*` environment variables or a `firebase-js-logger.config.{js,json}`
+ * file override the ones passed in code (see {@link module:logger/config.loadConfig}).
  * 
  * @param {string|null} [prefix] - The prefix to exclude from filenames in log output.
  *                                  If `null`, automatically uses the caller's module `__dirname`.
  *                                  If a non-null string (including empty string), that value is used.
  *                                  Only used on the first call; ignored on subsequent calls.
- * @returns {Object} The singleton logger instance with methods: info, warn, error, setPrefix, reset
+ * @param {Object} [options] - Logger options, only used on the first call. See {@link createLogger}.
+ * @param {string} [options.format] - Output format: 'text', 'json' (Google Cloud Logging structured entries) or
+ *                                     'pretty'. Defaults to 'pretty' on a terminal, 'text' otherwise.
+ * @param {string} [options.level='debug'] - Minimum level to log; can be changed later with `setLevel`.
+ * @returns {Object} The singleton logger instance with the logging methods debug, info, notice, warn, error,
+ *                   critical, alert and emergency, plus child, setPrefix, setFormat, setLevel, reset and more
  * 
  * @example
  * // First call - initializes singleton with prefix
@@ -167,21 +1038,68 @@ function getCallerDirname() {
  * // First call - empty string prefix
  * const logger = require('@cionzo/firebase-js-logger')('');
  * 
+ * // First call - structured JSON output for Cloud Functions / Cloud Run
+ * const logger = require('@cionzo/firebase-js-logger')(__dirname, { format: 'json' });
+ *
  * // Subsequent calls - returns same instance, prefix ignored
  * const logger2 = require('@cionzo/firebase-js-logger')('/other/path');
  * // logger === logger2 (same instance)
  */
-function getLogger(prefix = '') {
+function getLogger(prefix = '', options = {}) {
     if (!loggerInstance) {
-        let actualPrefix = prefix;
+        // Environment variables and the config file override the options passed in code
+        const config = loadConfig();
+        const { prefix: configPrefix, ...instanceOptions } = mergeOptions(options, config);
+        let actualPrefix = configPrefix !== undefined ? configPrefix : prefix;
         // If prefix is null, use caller's __dirname
-        if (prefix === null) {
+        if (actualPrefix === null) {
             actualPrefix = getCallerDirname();
         }
         // If prefix is a non-null value (including empty string), use it as-is
-        loggerInstance = createLoggerInstance(actualPrefix);
+        try {
+            loggerInstance = createLoggerInstance(actualPrefix, instanceOptions);
+        } catch (err) {
+            if (!config.transports) {
+                throw err;
+            }
+            // Configured transports that cannot be created, e.g. files that cannot be opened, must not prevent startup
+            loggerInstance = createLoggerInstance(actualPrefix, Object.assign({}, instanceOptions, { transports: options.transports }));
+            process.emitWarning(`Ignoring the configured transports: ${err.message}`, 'LoggerConfigWarning');
+        }
     }
     return loggerInstance;
 }
 
+/**
+ * Creates an independent logger instance, separate from the singleton returned by {@link getLogger}.
+ * Each call returns a new instance with its own prefix and configuration, so a published library
+ * and the application consuming it do not interfere with each other.
+ *
+ * @param {Object} [options] - Logger options.
+ * @param {string} [options.name] - Name shown in every entry, to tell apart entries from different subsystems.
+ * @param {string|null} [options.prefix=''] - The prefix to exclude from filenames in log output.
+ *                                             If `null`, automatically uses the caller's module `__dirname`.
+ * @param {string} [options.level='debug'] - Minimum level to log.
+ * @param {string} [options.format] - Output format: 'text', 'json' (Google Cloud Logging structured entries) or
+ *                                     'pretty'. Defaults to 'pretty' on a terminal, 'text' otherwise.
+ * @param {Array<Object|winston.transport>} [options.transports] - Winston transports, or transport specifications
+ *                                                               such as `{ type: 'file', filename, level, format }`
+ *                                                               (see {@link module:logger/transports.createTransports}).
+ *                                                               Defaults to the console.
+ * @returns {Object} A new logger instance, with the same API as the singleton.
+ *
+ * @example
+ * const { createLogger } = require('@cionzo/firebase-js-logger');
+ * const logger = createLogger({ name: 'billing', prefix: __dirname, level: 'info' });
+ */
+function createLogger(options = {}) {
+    const { prefix = '', ...instanceOptions } = options;
+    return createLoggerInstance(prefix === null ? getCallerDirname() : prefix, instanceOptions);
+}
+
 module.exports = getLogger;
+module.exports.createLogger = createLogger;
+module.exports.FileTransport = FileTransport;
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.detectRuntime = detectRuntime;
+module.exports.clearSourceMapCache = clearSourceMapCache;
@@ -0,0 +1,97 @@
+/**
+ * Log levels supported by the logger, aligned with Google Cloud Logging severities,
+ * and per-module level overrides keyed on source paths.
+ * @module logger/levels
+ */
+
+const path = require('path');
+
+/**
+ * Log levels in winston notation: lower numbers are more severe.
+ * @type {Object<string, number>}
+ */
+const LEVELS = {
+    emergency: 0,
+    alert: 1,
+    critical: 2,
+    error: 3,
+    warn: 4,
+    notice: 5,
+    info: 6,
+    debug: 7,
+};
+
+/**
+ * Maps logger levels to Cloud Logging severities.
+ * @type {Object<string, string>}
+ */
+const SEVERITIES = {
+    emergency: 'EMERGENCY',
+    alert: 'ALERT',
+    critical: 'CRITICAL',
+    error: 'ERROR',
+    warn: 'WARNING',
+    notice: 'NOTICE',
+    info: 'INFO',
+    debug: 'DEBUG',
+};
+
+/**
+ * Validates a log level name.
+ * @param {string} level - The log level name.
+ * @returns {string} The same level name.
+ * @throws {Error} If the level is not one of {@link LEVELS}.
+ */
+function validateLevel(level) {
+    if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+        throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return level;
+}
+
+/**
+ * Compiles a source path glob into a RegExp. `*` matches within a path segment and `**` across segments.
+ * The glob may match anywhere in the path as long as it starts at a segment boundary, and a rule
+ * without an extension also matches files with one, and everything under a directory of that name.
+ * @private
+ * @param {string} glob - The glob, e.g. `'services/payments*'` or `'vendor/**'`.
+ * @returns {RegExp} The compiled glob, tested against `/`-separated paths.
+ */
+function globToRegExp(glob) {
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const source = glob
+        .replace(/^\/+/, '')
+        .split('**')
+        .map((part) => part.split('*').map(escape).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`(?:^|/)${source}(?:\\.[^/]*)?(?:/|$)`);
+}
+
+/**
+ * Creates a function resolving the level override of a source file from glob rules.
+ * When several rules match a file, the last one wins, so general rules should come before specific ones.
+ * Results are cached per file.
+ * @param {Object<string, string>} rules - Levels by source path glob,
+ *                                         e.g. `{ 'vendor/**': 'error', 'services/payments*': 'debug' }`.
+ * @returns {function(string): (string|undefined)} Returns the level for a file, or undefined if no rule matches.
+ * @throws {Error} If a rule has an unknown level.
+ */
+function createLevelResolver(rules) {
+    const compiled = Object.keys(rules).map((glob) => ({ regexp: globToRegExp(glob), level: validateLevel(rules[glob]) }));
+    const cache = new Map();
+    return (file) => {
+        if (!cache.has(file)) {
+            const normalized = file.split(path.sep).join('/');
+            const matches = compiled.filter((rule) => rule.regexp.test(normalized));
+            cache.set(file, matches.length ? matches[matches.length - 1].level : undefined);
+        }
+        return cache.get(file);
+    };
+}
+
+module.exports = {
+    LEVELS,
+    SEVERITIES,
+    validateLevel,
+    createLevelResolver,
+};
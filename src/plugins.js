@@ -0,0 +1,169 @@
+/**
+ * Plugins and events: hooks that enrich, drop or forward entries, run so that a failing plugin never breaks logging.
+ * @module logger/plugins
+ */
+
+/**
+ * Hooks a plugin can implement.
+ * @type {string[]}
+ */
+const HOOKS = ['beforeLog', 'afterLog'];
+
+/**
+ * Events a logger emits: 'log' for every written entry, 'error' for written entries at the "error" level
+ * or more severe.
+ * @type {string[]}
+ */
+const EVENTS = ['log', 'error'];
+
+/**
+ * Validates a plugin: an object with a `beforeLog` hook, an `afterLog` hook, or both, and optionally a `name`.
+ * @param {Object} plugin - The plugin.
+ * @returns {Object} The same plugin.
+ * @throws {Error} If the plugin is not an object, has no hook, or a hook is not a function.
+ */
+function validatePlugin(plugin) {
+    if (plugin === null || typeof plugin !== 'object') {
+        throw new Error(`Invalid plugin ${String(plugin)}. Expected an object with ${HOOKS.join(' and/or ')} functions`);
+    }
+    const hooks = HOOKS.filter((hook) => plugin[hook] !== undefined);
+    if (!hooks.length) {
+        throw new Error(`Plugin "${plugin.name || 'anonymous'}" has no hook. Expected ${HOOKS.join(' and/or ')} functions`);
+    }
+    for (const hook of hooks) {
+        if (typeof plugin[hook] !== 'function') {
+            throw new Error(`Plugin "${plugin.name || 'anonymous'}" has an invalid ${hook} hook. Expected a function`);
+        }
+    }
+    return plugin;
+}
+
+/**
+ * Validates an event name.
+ * @private
+ * @param {string} event - The event name.
+ * @throws {Error} If the event is not one of {@link EVENTS}.
+ */
+function validateEvent(event) {
+    if (!EVENTS.includes(event)) {
+        throw new Error(`Unknown logger event "${event}". Expected one of: ${EVENTS.join(', ')}`);
+    }
+}
+
+/**
+ * Creates the plugin pipeline of a logger instance.
+ *
+ * `beforeLog` hooks run in registration order, before the entry is serialized and redacted, with
+ * `{ level, message, fields, location }`: the message as logged (e.g. an Error), the context fields written with
+ * the entry, and the caller location (`file`, `line`, `function`) if captured. They can change `message` and
+ * `fields`, and drop the entry by returning `false`. `afterLog` hooks and event listeners run once the entry has
+ * been handed to the transports, with `{ level, message, fields, location, error, stack }`: the serialized message
+ * and fields, plus the serialized Error and the stack trace, if any.
+ *
+ * Each hook and listener is isolated: if it throws, or returns a promise that rejects, the failure is reported once
+ * per plugin and hook with `warn`, and logging carries on as if it had done nothing.
+ * @param {Array<Object>} [plugins=[]] - The initial plugins (see {@link validatePlugin}).
+ * @param {function(string): void} [warn] - Reports plugin failures. Defaults to `process.emitWarning`.
+ * @returns {{use: Function, on: Function, off: Function, beforeLog: function(Object): boolean,
+ *          afterLog: function(Object, boolean): void}} The pipeline. `beforeLog` returns false if the entry was dropped;
+ *          `afterLog` takes the written entry and whether to emit the 'error' event for it.
+ * @throws {Error} If a plugin is invalid.
+ */
+function createPluginPipeline(plugins = [], warn = (message) => process.emitWarning(message, 'LoggerPluginWarning')) {
+    const registered = plugins.map(validatePlugin);
+    const listeners = { log: [], error: [] };
+    const reported = new Set();
+
+    const report = (source, err) => {
+        if (!reported.has(source)) {
+            reported.add(source);
+            warn(`${source} failed, further failures will not be reported: ${err && err.message ? err.message : err}`);
+        }
+    };
+
+    /**
+     * Calls a hook or listener, reporting its failure instead of throwing.
+     * @private
+     * @param {string} source - Describes the hook or listener in failure reports.
+     * @param {Function} fn - The hook or listener.
+     * @param {any} thisArg - The value of `this` in the call.
+     * @param {Object} entry - The entry.
+     * @returns {any} The return value of the call, or undefined if it threw.
+     */
+    const call = (source, fn, thisArg, entry) => {
+        try {
+            const result = fn.call(thisArg, entry);
+            if (result && typeof result.then === 'function') {
+                result.then(null, (err) => report(source, err));
+            }
+            return result;
+        } catch (err) {
+            report(source, err);
+            return undefined;
+        }
+    };
+
+    const describe = (plugin, hook) => `Logger plugin "${plugin.name || 'anonymous'}" ${hook}`;
+
+    /**
+     * Registers a plugin after the ones already registered.
+     * @param {Object} plugin - The plugin.
+     * @throws {Error} If the plugin is invalid.
+     */
+    const use = (plugin) => {
+        registered.push(validatePlugin(plugin));
+    };
+
+    /**
+     * Adds an event listener.
+     * @param {string} event - 'log' or 'error'.
+     * @param {function(Object): void} listener - Called with the entry.
+     * @throws {Error} If the event is not supported or the listener is not a function.
+     */
+    const on = (event, listener) => {
+        validateEvent(event);
+        if (typeof listener !== 'function') {
+            throw new Error(`Invalid "${event}" listener. Expected a function`);
+        }
+        listeners[event].push(listener);
+    };
+
+    /**
+     * Removes an event listener added with {@link on}.
+     * @param {string} event - 'log' or 'error'.
+     * @param {function(Object): void} listener - The listener.
+     */
+    const off = (event, listener) => {
+        validateEvent(event);
+        const index = listeners[event].indexOf(listener);
+        if (index !== -1) {
+            listeners[event].splice(index, 1);
+        }
+    };
+
+    const beforeLog = (entry) => registered.every((plugin) => !plugin.beforeLog
+        || call(describe(plugin, 'beforeLog'), plugin.beforeLog, plugin, entry) !== false);
+
+    const afterLog = (entry, isError) => {
+        for (const plugin of registered) {
+            if (plugin.afterLog) {
+                call(describe(plugin, 'afterLog'), plugin.afterLog, plugin, entry);
+            }
+        }
+        for (const event of isError ? EVENTS : ['log']) {
+            // Copied, so listeners removing themselves do not skip the next one
+            for (const listener of listeners[event].slice()) {
+                call(`Logger "${event}" listener ${listener.name ? `"${listener.name}"` : '(anonymous)'}`, listener, undefined, entry);
+            }
+        }
+    };
+
+    return { use, on, off, beforeLog, afterLog };
+}
+
+module.exports = {
+    HOOKS,
+    EVENTS,
+    validatePlugin,
+    createPluginPipeline,
+};
@@ -0,0 +1,134 @@
+/**
+ * Protection against log storms: rate limiting of repeated entries, with suppressed duplicates collapsed
+ * into summary entries, and probabilistic sampling per level.
+ * @module logger/ratelimit
+ */
+
+const { validateLevel } = require('./levels');
+
+/**
+ * Supported ways of grouping entries for rate limiting.
+ * @type {string[]}
+ */
+const RATE_LIMIT_KEYS = ['callsite', 'message'];
+
+/**
+ * Number of tracked keys above which expired windows are swept, so keys that are never repeated do not accumulate.
+ * @private
+ * @type {number}
+ */
+const MAX_TRACKED_KEYS = 1000;
+
+/**
+ * Creates a sampling function from per-level rates.
+ * @param {Object<string, number>} [rates={}] - Fraction of entries kept per level, from 0 (none) to 1 (all),
+ *                                             e.g. `{ debug: 0.1 }`. Levels without a rate are always kept.
+ * @returns {function(string): boolean} Returns whether an entry at the given level is kept.
+ * @throws {Error} If a level is unknown or a rate is not between 0 and 1.
+ */
+function createSampler(rates = {}) {
+    for (const level of Object.keys(rates)) {
+        validateLevel(level);
+        const rate = rates[level];
+        if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+            throw new Error(`Invalid sampling rate "${rate}" for level "${level}". Expected a number between 0 and 1`);
+        }
+    }
+    return (level) => {
+        const rate = rates[level];
+        return rate === undefined || rate >= 1 || (rate > 0 && Math.random() < rate);
+    };
+}
+
+/**
+ * Creates a rate limiter. Within each window, the first `burst` entries with the same key pass and the rest
+ * are suppressed; once the window ends, `onSummary` is called with the number of suppressed entries.
+ * @param {Object} [config] - The rate limiting configuration.
+ * @param {string} [config.by='callsite'] - 'callsite' groups entries by level and caller location,
+ *                                          'message' groups them by level and message.
+ * @param {number} [config.window=60000] - Length of a window, in milliseconds.
+ * @param {number} [config.burst=10] - Number of entries with the same key allowed per window.
+ * @param {function(number, Object): void} onSummary - Called with the number of suppressed entries and the details
+ *                                                    passed with the last suppressed one.
+ * @returns {{allow: function(string, Object): boolean, flush: function(): void}} `allow` takes an entry's key and
+ *          details, and returns whether it may be logged; `flush` reports the suppressed entries of all open windows
+ *          right away, e.g. before the process exits.
+ * @throws {Error} If the configuration is invalid.
+ */
+function createRateLimiter(config, onSummary) {
+    const { by = 'callsite', window = 60000, burst = 10 } = config;
+    if (!RATE_LIMIT_KEYS.includes(by)) {
+        throw new Error(`Unknown rate limit key "${by}". Expected one of: ${RATE_LIMIT_KEYS.join(', ')}`);
+    }
+    if (typeof window !== 'number' || !(window > 0)) {
+        throw new Error(`Invalid rate limit window "${window}". Expected a positive number of milliseconds`);
+    }
+    if (!Number.isInteger(burst) || burst < 1) {
+        throw new Error(`Invalid rate limit burst "${burst}". Expected a positive integer`);
+    }
+    const windows = new Map();
+
+    const close = (key, current) => {
+        clearTimeout(current.timer);
+        if (windows.get(key) === current) {
+            windows.delete(key);
+        }
+        if (current.suppressed) {
+            onSummary(current.suppressed, current.details);
+        }
+    };
+
+    const sweep = (now) => {
+        for (const [key, current] of windows) {
+            if (now - current.start >= window) {
+                close(key, current);
+            }
+        }
+    };
+
+    const allow = (key, details) => {
+        const now = Date.now();
+        let current = windows.get(key);
+        if (current && now - current.start >= window) {
+            close(key, current);
+            current = undefined;
+        }
+        if (!current) {
+            if (windows.size >= MAX_TRACKED_KEYS) {
+                sweep(now);
+            }
+            current = { start: now, count: 0, suppressed: 0, details, timer: null };
+            windows.set(key, current);
+        }
+        current.count++;
+        if (current.count <= burst) {
+            return true;
+        }
+        current.suppressed++;
+        current.details = details;
+        if (!current.timer) {
+            // Report at the end of the window even if the entry never repeats; unref'd so it never keeps the process alive
+            current.timer = setTimeout(() => close(key, current), window - (now - current.start));
+            if (current.timer.unref) {
+                current.timer.unref();
+            }
+        }
+        return false;
+    };
+
+    const flush = () => {
+        for (const [key, current] of windows) {
+            if (current.suppressed) {
+                close(key, current);
+            }
+        }
+    };
+
+    return { allow, flush };
+}
+
+module.exports = {
+    RATE_LIMIT_KEYS,
+    createSampler,
+    createRateLimiter,
+};
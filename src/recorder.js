@@ -0,0 +1,94 @@
+/**
+ * Flight recorder: keeps the last entries dropped by the minimum level in memory, so they can be written
+ * after all when an error happens.
+ * @module logger/recorder
+ */
+
+const { LEVELS, validateLevel } = require('./levels');
+const { safeStringify } = require('./serialize');
+
+/**
+ * Default flight recorder configuration.
+ * @type {{size: number, triggerLevel: string, maxBytes: number}}
+ */
+const RECORDER_DEFAULTS = {
+    size: 100,
+    triggerLevel: 'error',
+    maxBytes: 256 * 1024,
+};
+
+/**
+ * Creates a flight recorder. Entries are recorded in a buffer per request context (see
+ * {@link module:logger/context.runWithContext}), or in a global buffer outside of any context, and each buffer
+ * keeps only its most recent entries within the size and memory limits. Buffers of finished contexts are
+ * garbage collected with them.
+ * @param {Object} [config] - The flight recorder configuration.
+ * @param {number} [config.size=100] - Maximum number of entries kept per buffer.
+ * @param {string} [config.triggerLevel='error'] - Entries at this level or more severe trigger the dump of the buffer.
+ * @param {number} [config.maxBytes=262144] - Maximum total size of the entries kept per buffer, as serialized JSON,
+ *                                            in bytes. Larger entries are never kept.
+ * @param {function(Object): number} [measure] - Returns the size of an entry in bytes. Defaults to the length of
+ *                                              its serialized JSON.
+ * @returns {{record: function(Object, Object): void, triggers: function(string): boolean,
+ *          drain: function(Object): Array<Object>}} `record` keeps an entry in the buffer of a context (undefined for
+ *          the global buffer); `triggers` returns whether an entry at a level dumps the buffer; `drain` empties the
+ *          buffer of a context and returns its entries, oldest first.
+ * @throws {Error} If the configuration is invalid.
+ */
+function createFlightRecorder(config = {}, measure = (entry) => Buffer.byteLength(safeStringify(entry))) {
+    const { size, triggerLevel, maxBytes } = Object.assign({}, RECORDER_DEFAULTS, config);
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error(`Invalid flight recorder size "${size}". Expected a positive integer`);
+    }
+    validateLevel(triggerLevel);
+    if (typeof maxBytes !== 'number' || !(maxBytes > 0)) {
+        throw new Error(`Invalid flight recorder maxBytes "${maxBytes}". Expected a positive number of bytes`);
+    }
+    const globalBuffer = { records: [], bytes: 0 };
+    const contextBuffers = new WeakMap();
+
+    const getBuffer = (key, create) => {
+        if (!key) {
+            return globalBuffer;
+        }
+        let buffer = contextBuffers.get(key);
+        if (!buffer && create) {
+            buffer = { records: [], bytes: 0 };
+            contextBuffers.set(key, buffer);
+        }
+        return buffer;
+    };
+
+    const record = (key, entry) => {
+        const bytes = measure(entry);
+        if (bytes > maxBytes) {
+            return;
+        }
+        const buffer = getBuffer(key, true);
+        buffer.records.push({ entry, bytes });
+        buffer.bytes += bytes;
+        while (buffer.records.length > size || buffer.bytes > maxBytes) {
+            buffer.bytes -= buffer.records.shift().bytes;
+        }
+    };
+
+    const triggers = (level) => LEVELS[level] <= LEVELS[triggerLevel];
+
+    const drain = (key) => {
+        const buffer = getBuffer(key, false);
+        if (!buffer || !buffer.records.length) {
+            return [];
+        }
+        const entries = buffer.records.map((recorded) => recorded.entry);
+        buffer.records = [];
+        buffer.bytes = 0;
+        return entries;
+    };
+
+    return { record, triggers, drain };
+}
+
+module.exports = {
+    RECORDER_DEFAULTS,
+    createFlightRecorder,
+};
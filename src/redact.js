@@ -0,0 +1,170 @@
+/**
+ * Redaction of sensitive data from logged values, applied before any transport sees an entry.
+ * @module logger/redact
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Supported replacement strategies.
+ * @type {string[]}
+ */
+const STRATEGIES = ['mask', 'hash', 'remove'];
+
+/**
+ * Built-in value patterns that can be referenced by name in the `patterns` option.
+ * @type {Object<string, RegExp>}
+ */
+const BUILTIN_PATTERNS = {
+    jwt: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    creditCard: /\b\d(?:[ -]?\d){12,18}\b/g,
+};
+
+/**
+ * Checks a candidate card number with the Luhn algorithm, to avoid redacting arbitrary long numbers.
+ * @private
+ * @param {string} candidate - The matched digits, possibly with spaces or dashes.
+ * @returns {boolean} True if the digits pass the Luhn check.
+ */
+function passesLuhn(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Compiles a key-path rule into segments. `*` matches exactly one key, `**` matches any number of keys.
+ * @private
+ * @param {string} rule - The rule, e.g. `'headers.authorization'` or `'*.password'`.
+ * @returns {string[]} The rule segments.
+ */
+function compilePath(rule) {
+    return rule.split('.');
+}
+
+/**
+ * Checks whether a key path matches a compiled rule.
+ * @private
+ * @param {string[]} rule - The rule segments.
+ * @param {string[]} keys - The key path, from the root of the redacted value.
+ * @param {number} [r=0] - Current rule segment.
+ * @param {number} [k=0] - Current key.
+ * @returns {boolean} True if the path matches.
+ */
+function matchesPath(rule, keys, r = 0, k = 0) {
+    if (r === rule.length) {
+        return k === keys.length;
+    }
+    if (rule[r] === '**') {
+        for (let next = k; next <= keys.length; next++) {
+            if (matchesPath(rule, keys, r + 1, next)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (k === keys.length) {
+        return false;
+    }
+    return (rule[r] === '*' || rule[r] === keys[k]) && matchesPath(rule, keys, r + 1, k + 1);
+}
+
+/**
+ * Compiles a value pattern, ensuring it is global so every occurrence in a string is replaced.
+ * @private
+ * @param {RegExp|string} pattern - A RegExp, or the name of a built-in pattern.
+ * @returns {{regexp: RegExp, accept: function(string): boolean}} The compiled pattern and a check run on each match.
+ * @throws {Error} If the pattern is neither a RegExp nor a built-in pattern name.
+ */
+function compilePattern(pattern) {
+    const regexp = typeof pattern === 'string' ? BUILTIN_PATTERNS[pattern] : pattern;
+    if (!(regexp instanceof RegExp)) {
+        throw new Error(`Unknown redaction pattern "${pattern}". Expected a RegExp or one of: ${Object.keys(BUILTIN_PATTERNS).join(', ')}`);
+    }
+    const flags = regexp.flags.includes('g') ? regexp.flags : `${regexp.flags}g`;
+    return {
+        regexp: new RegExp(regexp.source, flags),
+        accept: regexp === BUILTIN_PATTERNS.creditCard ? passesLuhn : () => true,
+    };
+}
+
+/**
+ * Creates a redaction function from a configuration.
+ * The function works on plain serializable data (see {@link module:logger/serialize.toSerializable})
+ * and returns a redacted copy, leaving its input untouched.
+ * @param {Object} [config] - The redaction configuration.
+ * @param {string[]} [config.paths=[]] - Key-path rules such as `'headers.authorization'`, `'*.password'` or `'**.token'`,
+ *                                       matched from the root of each logged object.
+ * @param {Array<RegExp|string>} [config.patterns=[]] - Value patterns replaced inside strings: RegExps, or the built-in
+ *                                                     pattern names `'jwt'`, `'email'` and `'creditCard'`.
+ * @param {string} [config.strategy='mask'] - 'mask' replaces with `censor`, 'hash' replaces with a short SHA-256 digest
+ *                                            (so equal values stay correlatable), 'remove' drops the key or matched text.
+ * @param {string} [config.censor='[REDACTED]'] - Replacement used by the 'mask' strategy.
+ * @returns {function(any): any} The redaction function.
+ * @throws {Error} If the strategy or a pattern is not supported.
+ */
+function createRedactor(config = {}) {
+    const { paths = [], patterns = [], strategy = 'mask', censor = '[REDACTED]' } = config;
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown redaction strategy "${strategy}". Expected one of: ${STRATEGIES.join(', ')}`);
+    }
+    const rules = paths.map(compilePath);
+    const compiledPatterns = patterns.map(compilePattern);
+
+    const replace = (value) => {
+        if (strategy === 'hash') {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return `[sha256:${crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)}]`;
+        }
+        return strategy === 'remove' ? '' : censor;
+    };
+
+    const redactString = (text) => compiledPatterns.reduce(
+        (result, { regexp, accept }) => result.replace(regexp, (match) => (accept(match) ? replace(match) : match)),
+        text
+    );
+
+    const redact = (value, keys) => {
+        if (typeof value === 'string') {
+            return compiledPatterns.length ? redactString(value) : value;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        const isArray = Array.isArray(value);
+        const result = isArray ? [] : {};
+        for (const key of Object.keys(value)) {
+            const path = keys.concat(key);
+            const matched = rules.some((rule) => matchesPath(rule, path));
+            if (matched && strategy === 'remove') {
+                continue;
+            }
+            const redacted = matched ? replace(value[key]) : redact(value[key], path);
+            if (isArray) {
+                result.push(redacted);
+            } else {
+                result[key] = redacted;
+            }
+        }
+        return result;
+    };
+
+    return (value) => redact(value, []);
+}
+
+module.exports = {
+    STRATEGIES,
+    BUILTIN_PATTERNS,
+    createRedactor,
+};
@@ -0,0 +1,96 @@
+/**
+ * Detection of the Firebase or Google Cloud runtime the process runs in, from the environment variables
+ * each platform sets.
+ * @module logger/runtime
+ */
+
+const fs = require('fs');
+
+/**
+ * Runtimes that can be detected.
+ * @type {string[]}
+ */
+const RUNTIMES = ['emulator', 'cloud-functions-gen1', 'cloud-functions-gen2', 'cloud-run'];
+
+/**
+ * Default console format of each runtime: structured JSON where Cloud Logging collects the output,
+ * pretty output in the emulator, where people read it.
+ * @private
+ * @type {Object<string, string>}
+ */
+const DEFAULT_FORMATS = {
+    'emulator': 'pretty',
+    'cloud-functions-gen1': 'json',
+    'cloud-functions-gen2': 'json',
+    'cloud-run': 'json',
+};
+
+/**
+ * Reads the project ID from the `FIREBASE_CONFIG` variable, which holds either the Firebase configuration as JSON
+ * or the path of a file containing it.
+ * @private
+ * @param {string} [config] - The variable value.
+ * @returns {string|undefined} The project ID, if it can be read.
+ */
+function readFirebaseProjectId(config) {
+    if (!config) {
+        return undefined;
+    }
+    try {
+        const parsed = JSON.parse(config.trim().startsWith('{') ? config : fs.readFileSync(config, 'utf8'));
+        return typeof parsed.projectId === 'string' ? parsed.projectId : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Detects the runtime from its environment variables:
+ *
+ * - the emulator sets `FUNCTIONS_EMULATOR=true`
+ * - Cloud Functions set `FUNCTION_TARGET`; second generation functions run on Cloud Run,
+ *   which also sets `K_CONFIGURATION`
+ * - Cloud Run sets `K_SERVICE`, `K_REVISION` and `K_CONFIGURATION`
+ *
+ * The project comes from `GCLOUD_PROJECT`, `GOOGLE_CLOUD_PROJECT` or `FIREBASE_CONFIG`, and the region of
+ * functions from `FUNCTION_REGION` when set.
+ * @param {Object} [env=process.env] - The environment variables.
+ * @returns {{runtime: (string|null), format: (string|undefined), labels: Object<string, string>}} The runtime,
+ *          one of {@link RUNTIMES} or null if none is detected; its default console format; and the labels
+ *          describing where entries come from, named after the Cloud Logging resource labels (`project_id`,
+ *          `function_name`, `region`, `service_name`, `revision_name`, `configuration_name`), plus `runtime`.
+ */
+function detectRuntime(env = process.env) {
+    let runtime = null;
+    if (env.FUNCTIONS_EMULATOR === 'true') {
+        runtime = 'emulator';
+    } else if (env.FUNCTION_TARGET) {
+        runtime = env.K_CONFIGURATION ? 'cloud-functions-gen2' : 'cloud-functions-gen1';
+    } else if (env.K_SERVICE) {
+        runtime = 'cloud-run';
+    }
+    const isFunction = runtime !== null && runtime !== 'cloud-run';
+    const candidates = {
+        runtime,
+        project_id: env.GCLOUD_PROJECT || env.GOOGLE_CLOUD_PROJECT || readFirebaseProjectId(env.FIREBASE_CONFIG),
+        function_name: isFunction ? env.K_SERVICE || env.FUNCTION_TARGET : undefined,
+        region: isFunction ? env.FUNCTION_REGION : undefined,
+        service_name: runtime === 'cloud-run' ? env.K_SERVICE : undefined,
+        revision_name: env.K_REVISION,
+        configuration_name: runtime === 'cloud-run' ? env.K_CONFIGURATION : undefined,
+    };
+    const labels = {};
+    if (runtime) {
+        for (const key of Object.keys(candidates)) {
+            if (candidates[key]) {
+                labels[key] = String(candidates[key]);
+            }
+        }
+    }
+    return { runtime, format: DEFAULT_FORMATS[runtime], labels };
+}
+
+module.exports = {
+    RUNTIMES,
+    detectRuntime,
+};
@@ -0,0 +1,408 @@
+/**
+ * Serialization of logged values into plain, JSON-safe data.
+ * Nothing in this module throws because of the value it is given: cycles, throwing getters and
+ * values JSON cannot represent are replaced with visible markers.
+ * @module logger/serialize
+ */
+
+/**
+ * Default limits applied by {@link toSerializable}.
+ * @type {{maxDepth: number, maxArrayLength: number, maxStringLength: number}}
+ */
+const DEFAULT_LIMITS = {
+    maxDepth: 10,
+    maxArrayLength: 100,
+    maxStringLength: 10000,
+};
+
+/**
+ * Properties that are read even when they are not own enumerable properties,
+ * e.g. the `code` getter of firebase-admin's `FirebaseError`.
+ * @private
+ * @type {string[]}
+ */
+const WELL_KNOWN_ERROR_PROPERTIES = ['code', 'status', 'statusCode'];
+
+/**
+ * Maximum number of nested `cause` / aggregated errors followed when serializing an error.
+ * @private
+ * @type {number}
+ */
+const MAX_ERROR_DEPTH = 10;
+
+/**
+ * Checks whether a value is an Error, including errors created in other realms (e.g. `vm` contexts).
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is an Error.
+ */
+function isError(value) {
+    try {
+        return value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+    } catch (err) {
+        // e.g. a revoked Proxy, which throws on any inspection
+        return false;
+    }
+}
+
+/**
+ * Checks whether a value is a plain object, such as an object literal: not an array, Error, class instance or null.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is a plain object.
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    try {
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Serializes an Error into a plain object with its name, message, custom properties such as `code` and `status`,
+ * its `cause` chain and, for `AggregateError`, the aggregated errors. Stack traces are left out; see {@link formatErrorStack}.
+ * @param {Error} err - The error to serialize.
+ * @param {Set<Error>} [seen] - Errors already serialized on the current path, used to break cycles.
+ * @returns {Object} The serialized error.
+ */
+function serializeError(err, seen = new Set()) {
+    seen.add(err);
+    const serialized = {
+        name: readProperty(err, 'name'),
+        message: readProperty(err, 'message'),
+    };
+    for (const key of WELL_KNOWN_ERROR_PROPERTIES) {
+        const value = readProperty(err, key);
+        if (value !== undefined) {
+            serialized[key] = value;
+        }
+    }
+    for (const key of Object.keys(err)) {
+        if (key !== 'stack' && key !== 'cause' && key !== 'errors') {
+            serialized[key] = readProperty(err, key);
+        }
+    }
+    const cause = readProperty(err, 'cause');
+    if (cause !== undefined) {
+        serialized.cause = serializeNested(cause, seen);
+    }
+    const errors = readProperty(err, 'errors');
+    if (Array.isArray(errors)) {
+        serialized.errors = errors.map((nested) => serializeNested(nested, seen));
+    }
+    seen.delete(err);
+    return serialized;
+}
+
+/**
+ * Serializes a nested cause or aggregated error, guarding against cycles and excessive depth.
+ * @private
+ * @param {any} value - The nested value; causes are not required to be errors.
+ * @param {Set<Error>} seen - Errors already serialized on the current path.
+ * @returns {any} The serialized value.
+ */
+function serializeNested(value, seen) {
+    if (!isError(value)) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (seen.size >= MAX_ERROR_DEPTH) {
+        return '[Truncated]';
+    }
+    return serializeError(value, seen);
+}
+
+/**
+ * Builds the full stack trace of an error, followed by the stack traces of its `cause` chain
+ * ("Caused by: ...") and of the errors aggregated by an `AggregateError` ("Aggregated error [i]: ...").
+ * @param {Error} err - The error.
+ * @param {Set<Error>} [seen] - Errors already formatted on the current path, used to break cycles.
+ * @returns {string} The combined stack trace.
+ */
+function formatErrorStack(err, seen = new Set()) {
+    seen.add(err);
+    const ownStack = readProperty(err, 'stack');
+    let stack = typeof ownStack === 'string' && ownStack
+        ? ownStack
+        : `${readProperty(err, 'name')}: ${readProperty(err, 'message')}`;
+    const errors = readProperty(err, 'errors');
+    if (Array.isArray(errors)) {
+        errors.forEach((nested, index) => {
+            stack += `\nAggregated error [${index}]: ${formatNestedStack(nested, seen)}`;
+        });
+    }
+    const cause = readProperty(err, 'cause');
+    if (cause !== undefined) {
+        stack += `\nCaused by: ${formatNestedStack(cause, seen)}`;
+    }
+    seen.delete(err);
+    return stack;
+}
+
+/**
+ * Formats the stack of a nested cause or aggregated error, guarding against cycles and excessive depth.
+ * @private
+ * @param {any} value - The nested value.
+ * @param {Set<Error>} seen - Errors already formatted on the current path.
+ * @returns {string} The formatted stack, or a description of the value.
+ */
+function formatNestedStack(value, seen) {
+    if (!isError(value)) {
+        return typeof value === 'string' ? value : safeStringify(value);
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (seen.size >= MAX_ERROR_DEPTH) {
+        return '[Truncated]';
+    }
+    return formatErrorStack(value, seen);
+}
+
+/**
+ * Truncates a string to the given length, appending a marker with the number of dropped characters.
+ * @private
+ * @param {string} value - The string.
+ * @param {number} maxLength - The maximum length to keep.
+ * @returns {string} The possibly truncated string.
+ */
+function truncateString(value, maxLength) {
+    if (value.length <= maxLength) {
+        return value;
+    }
+    return `${value.slice(0, maxLength)}... [truncated ${value.length - maxLength} chars]`;
+}
+
+/**
+ * Checks whether a value looks like a Firestore `Timestamp`.
+ * @private
+ * @param {Object} value - The value to check.
+ * @returns {boolean} True if the value is a Firestore Timestamp.
+ */
+function isFirestoreTimestamp(value) {
+    return typeof value.toDate === 'function' && typeof value.seconds === 'number' && typeof value.nanoseconds === 'number';
+}
+
+/**
+ * Checks whether a value looks like a Firestore `DocumentSnapshot`.
+ * @private
+ * @param {Object} value - The value to check.
+ * @returns {boolean} True if the value is a Firestore DocumentSnapshot.
+ */
+function isDocumentSnapshot(value) {
+    return typeof value.data === 'function' && typeof value.exists === 'boolean' && value.ref && typeof value.ref.path === 'string';
+}
+
+/**
+ * Checks whether a value looks like a Firestore `DocumentReference` or `CollectionReference`.
+ * @private
+ * @param {Object} value - The value to check.
+ * @returns {boolean} True if the value is a Firestore reference.
+ */
+function isFirestoreReference(value) {
+    return typeof value.path === 'string' && typeof value.id === 'string' && value.firestore !== undefined;
+}
+
+/**
+ * Reads a property, returning a marker instead of throwing if the property is a throwing getter.
+ * @private
+ * @param {Object} object - The object.
+ * @param {string} key - The property name.
+ * @returns {any} The property value or a marker.
+ */
+function readProperty(object, key) {
+    try {
+        return object[key];
+    } catch (err) {
+        return `[Throws: ${err && err.message}]`;
+    }
+}
+
+/**
+ * Serializes a list of items, truncating it to `maxArrayLength` with a marker for the dropped items.
+ * @private
+ * @param {Array} items - The items.
+ * @param {Object} limits - The serialization limits.
+ * @param {number} depth - The depth of the list.
+ * @param {Set<Object>} seen - Objects on the current path.
+ * @returns {Array} The serialized items.
+ */
+function walkItems(items, limits, depth, seen) {
+    const result = items.slice(0, limits.maxArrayLength).map((item) => walk(item, limits, depth + 1, seen));
+    if (items.length > limits.maxArrayLength) {
+        result.push(`[... ${items.length - limits.maxArrayLength} more items]`);
+    }
+    return result;
+}
+
+/**
+ * Serializes the own enumerable properties of an object.
+ * @private
+ * @param {Object} object - The object.
+ * @param {Object} limits - The serialization limits.
+ * @param {number} depth - The depth of the object.
+ * @param {Set<Object>} seen - Objects on the current path.
+ * @returns {Object} The serialized object.
+ */
+function walkProperties(object, limits, depth, seen) {
+    const result = {};
+    for (const key of Object.keys(object)) {
+        result[key] = walk(readProperty(object, key), limits, depth + 1, seen);
+    }
+    return result;
+}
+
+/**
+ * Serializes an object that is not on the current path yet.
+ * @private
+ * @param {Object} value - The object.
+ * @param {Object} limits - The serialization limits.
+ * @param {number} depth - The depth of the object.
+ * @param {Set<Object>} seen - Objects on the current path, including this one.
+ * @returns {any} The serialized object.
+ */
+function walkObject(value, limits, depth, seen) {
+    if (isError(value)) {
+        return walkProperties(serializeError(value), limits, depth, seen);
+    }
+    if (Array.isArray(value)) {
+        return walkItems(value, limits, depth, seen);
+    }
+    if (value instanceof Set) {
+        return walkItems(Array.from(value), limits, depth, seen);
+    }
+    if (value instanceof Map) {
+        const result = {};
+        const entries = Array.from(value).slice(0, limits.maxArrayLength);
+        for (const [key, item] of entries) {
+            result[String(key)] = walk(item, limits, depth + 1, seen);
+        }
+        if (value.size > limits.maxArrayLength) {
+            result['...'] = `[${value.size - limits.maxArrayLength} more entries]`;
+        }
+        return result;
+    }
+    if (isDocumentSnapshot(value)) {
+        return {
+            id: value.id,
+            path: value.ref.path,
+            exists: value.exists,
+            data: walk(value.exists ? value.data() : undefined, limits, depth + 1, seen),
+        };
+    }
+    if (isFirestoreReference(value)) {
+        return `[${value.constructor.name}: ${value.path}]`;
+    }
+    if (typeof value.toJSON === 'function') {
+        return walk(value.toJSON(), limits, depth, seen);
+    }
+    return walkProperties(value, limits, depth, seen);
+}
+
+/**
+ * Serializes any value.
+ * @private
+ * @param {any} value - The value.
+ * @param {Object} limits - The serialization limits.
+ * @param {number} depth - The depth of the value.
+ * @param {Set<Object>} seen - Objects on the current path, used to detect cycles.
+ * @returns {any} The serialized value.
+ */
+function walk(value, limits, depth, seen) {
+    switch (typeof value) {
+        case 'string':
+            return truncateString(value, limits.maxStringLength);
+        case 'number':
+            return Number.isFinite(value) ? value : String(value);
+        case 'boolean':
+            return value;
+        case 'bigint':
+            return value.toString();
+        case 'undefined':
+            return '[undefined]';
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function: ${readProperty(value, 'name') || 'anonymous'}]`;
+        default:
+            break;
+    }
+    if (value === null) {
+        return null;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    // Even type checks can throw, e.g. on a revoked Proxy
+    try {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+        }
+        if (Buffer.isBuffer(value)) {
+            return `[Buffer: ${value.length} bytes]`;
+        }
+        if (ArrayBuffer.isView(value)) {
+            return `[${value.constructor.name}: ${value.byteLength} bytes]`;
+        }
+        if (depth >= limits.maxDepth) {
+            return Array.isArray(value) ? '[Array]' : '[Object]';
+        }
+        seen.add(value);
+        if (isFirestoreTimestamp(value)) {
+            return value.toDate().toISOString();
+        }
+        return walkObject(value, limits, depth, seen);
+    } catch (err) {
+        return `[Unserializable: ${err && err.message}]`;
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/**
+ * Converts any value into plain data that `JSON.stringify` can encode without throwing or losing information silently:
+ * - circular references become `'[Circular]'`
+ * - `BigInt` becomes a string, `undefined` becomes `'[undefined]'`, `NaN` and `Infinity` become strings
+ * - `Map` becomes an object, `Set` becomes an array, `Buffer` and typed arrays become a size marker
+ * - `Date` and Firestore `Timestamp` become ISO strings, Firestore `DocumentSnapshot` becomes `{ id, path, exists, data }`
+ * - Errors are serialized as by {@link serializeError}
+ * - objects nested deeper than `maxDepth`, arrays longer than `maxArrayLength` and strings longer than
+ *   `maxStringLength` are truncated with a visible marker
+ * @param {any} value - The value to serialize.
+ * @param {Object} [limits] - Serialization limits, defaulting to {@link DEFAULT_LIMITS}.
+ * @param {number} [limits.maxDepth] - Maximum nesting depth of objects and arrays.
+ * @param {number} [limits.maxArrayLength] - Maximum number of items kept from arrays, sets and maps.
+ * @param {number} [limits.maxStringLength] - Maximum number of characters kept from strings.
+ * @returns {any} The serializable value.
+ */
+function toSerializable(value, limits = {}) {
+    return walk(value, Object.assign({}, DEFAULT_LIMITS, limits), 0, new Set());
+}
+
+/**
+ * Encodes a value as JSON, falling back to {@link toSerializable} if `JSON.stringify` throws.
+ * @param {any} value - The value to encode.
+ * @returns {string} The JSON string.
+ */
+function safeStringify(value) {
+    try {
+        return JSON.stringify(value);
+    } catch (err) {
+        return JSON.stringify(toSerializable(value));
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    toSerializable,
+    safeStringify,
+    isError,
+    isPlainObject,
+    serializeError,
+    formatErrorStack,
+};
@@ -0,0 +1,201 @@
+/**
+ * Source map support: maps positions in compiled or bundled files (e.g. TypeScript output in `lib/`,
+ * esbuild bundles) back to the original sources. Supports inline `data:` maps, `sourceMappingURL`
+ * references to `.map` files and adjacent `<file>.map` files. Parsed maps are cached per file.
+ * @module logger/sourcemap
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Parsed source maps by generated file; null when a file has no usable source map.
+ * @private
+ * @type {Map<string, Object|null>}
+ */
+const cache = new Map();
+
+/**
+ * Decodes a Base64 VLQ segment into its values.
+ * @private
+ * @param {string} segment - The encoded segment.
+ * @returns {number[]} The decoded values.
+ */
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment) {
+        const digit = BASE64_CHARS.indexOf(char);
+        value += (digit & 31) * Math.pow(2, shift);
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            const negative = value % 2 === 1;
+            value = Math.floor(value / 2);
+            values.push(negative ? -value : value);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Decodes the `mappings` field of a source map.
+ * @private
+ * @param {string} mappings - The encoded mappings.
+ * @returns {Array<Array<number[]>>} For each generated line (0-based), its segments as
+ *          `[generatedColumn, sourceIndex, sourceLine, sourceColumn]`, or `[generatedColumn]` for unmapped segments.
+ */
+function decodeMappings(mappings) {
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    return mappings.split(';').map((line) => {
+        let generatedColumn = 0;
+        const segments = [];
+        for (const encoded of line.split(',')) {
+            if (!encoded) {
+                continue;
+            }
+            const values = decodeVlq(encoded);
+            generatedColumn += values[0];
+            if (values.length >= 4) {
+                sourceIndex += values[1];
+                sourceLine += values[2];
+                sourceColumn += values[3];
+                segments.push([generatedColumn, sourceIndex, sourceLine, sourceColumn]);
+            } else {
+                segments.push([generatedColumn]);
+            }
+        }
+        return segments.sort((a, b) => a[0] - b[0]);
+    });
+}
+
+/**
+ * Reads the raw source map of a generated file.
+ * @private
+ * @param {string} file - The generated file.
+ * @returns {{raw: string, dir: string}|null} The source map JSON and the directory its sources are relative to.
+ */
+function readSourceMap(file) {
+    const code = fs.readFileSync(file, 'utf8');
+    const comments = code.match(/\/\/[#@]\s*sourceMappingURL=(\S+)/g);
+    if (!comments) {
+        const adjacent = `${file}.map`;
+        return fs.existsSync(adjacent) ? { raw: fs.readFileSync(adjacent, 'utf8'), dir: path.dirname(file) } : null;
+    }
+    const url = comments[comments.length - 1].replace(/^\/\/[#@]\s*sourceMappingURL=/, '');
+    if (url.startsWith('data:')) {
+        const comma = url.indexOf(',');
+        const data = url.slice(comma + 1);
+        const raw = url.slice(0, comma).endsWith(';base64')
+            ? Buffer.from(data, 'base64').toString('utf8')
+            : decodeURIComponent(data);
+        return { raw, dir: path.dirname(file) };
+    }
+    const mapFile = url.startsWith('file:') ? fileURLToPath(url) : path.resolve(path.dirname(file), decodeURIComponent(url));
+    return { raw: fs.readFileSync(mapFile, 'utf8'), dir: path.dirname(mapFile) };
+}
+
+/**
+ * Loads and parses the source map of a generated file, using the cache.
+ * @private
+ * @param {string} file - The generated file.
+ * @returns {{sources: string[], lines: Array<Array<number[]>>}|null} The parsed map, or null if there is none.
+ */
+function loadSourceMap(file) {
+    if (cache.has(file)) {
+        return cache.get(file);
+    }
+    let parsed = null;
+    try {
+        const found = readSourceMap(file);
+        const map = found && JSON.parse(found.raw);
+        // Index maps (with "sections") are not supported
+        if (map && typeof map.mappings === 'string') {
+            const root = map.sourceRoot || '';
+            parsed = {
+                sources: map.sources.map((source) => {
+                    const joined = root ? `${root.replace(/\/$/, '')}/${source}` : source;
+                    return joined.startsWith('file:') ? fileURLToPath(joined) : path.resolve(found.dir, joined);
+                }),
+                lines: decodeMappings(map.mappings),
+            };
+        }
+    } catch (err) {
+        parsed = null;
+    }
+    cache.set(file, parsed);
+    return parsed;
+}
+
+/**
+ * Maps a position in a generated file to the original source.
+ * @param {string} file - The generated file path (or `file:` URL).
+ * @param {number} line - The 1-based line number.
+ * @param {number} column - The 1-based column number.
+ * @returns {{file: string, line: number, column: number}|null} The original position, or null if it cannot be mapped.
+ */
+function resolvePosition(file, line, column) {
+    if (!file || file.startsWith('node:')) {
+        return null;
+    }
+    const filePath = file.startsWith('file:') ? fileURLToPath(file) : file;
+    const map = loadSourceMap(filePath);
+    const segments = map && map.lines[line - 1];
+    if (!segments || !segments.length) {
+        return null;
+    }
+    // Last segment starting at or before the column; V8 columns are 1-based, source map columns 0-based
+    let low = 0;
+    let high = segments.length - 1;
+    let match = null;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (segments[mid][0] <= column - 1) {
+            match = segments[mid];
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    if (!match || match.length < 4) {
+        return null;
+    }
+    return {
+        file: map.sources[match[1]],
+        line: match[2] + 1,
+        column: match[3] + 1,
+    };
+}
+
+/**
+ * Maps every `file:line:column` frame of a stack trace to the original source, leaving unmapped frames as they are.
+ * @param {string} stack - The stack trace.
+ * @returns {string} The mapped stack trace.
+ */
+function mapStackTrace(stack) {
+    return stack.replace(/^(\s+at (?:.*\()?)(.+?):(\d+):(\d+)(\)?)$/gm, (frame, before, file, line, column, after) => {
+        const original = resolvePosition(file, Number(line), Number(column));
+        return original ? `${before}${original.file}:${original.line}:${original.column}${after}` : frame;
+    });
+}
+
+/**
+ * Clears the cache of parsed source maps, e.g. after compiled files have been rebuilt.
+ */
+function clearSourceMapCache() {
+    cache.clear();
+}
+
+module.exports = {
+    resolvePosition,
+    mapStackTrace,
+    clearSourceMapCache,
+};
@@ -0,0 +1,624 @@
+/**
+ * Transports: building winston transports from the logger configuration, and a file transport
+ * with rotation by size and by date, retention and optional gzip compression of rotated files.
+ * @module logger/transports
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const zlib = require('zlib');
+const winston = require('winston');
+const { SOURCE_LOCATION, CONTEXT, ERROR, validateFormat, createOutputFormat } = require('./formats');
+const { validateLevel } = require('./levels');
+
+const { Transport } = winston;
+const pipeline = util.promisify(stream.pipeline);
+const MESSAGE = Symbol.for('message');
+const LEVEL = Symbol.for('level');
+
+// Level of the marker written by flushTransports; unknown to every transport, so no transport logs it
+const FLUSH_LEVEL = Symbol('flush');
+// Number of entries a transport is still writing, and the event emitted when it drops to zero
+const PENDING = Symbol('pending');
+const IDLE = Symbol('idle');
+
+/**
+ * Entry properties that are not part of an entry's fields when recorded by {@link MemoryTransport}.
+ * @private
+ * @type {string[]}
+ */
+const ENTRY_PROPERTIES = ['level', 'message', 'stack', 'timestamp', SOURCE_LOCATION];
+
+/**
+ * Supported transport types in transport specifications.
+ * @type {string[]}
+ */
+const TRANSPORT_TYPES = ['console', 'file'];
+
+/**
+ * Supported rotation frequencies of the file transport.
+ * @type {string[]}
+ */
+const FREQUENCIES = ['daily', 'hourly'];
+
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+/**
+ * Parses a size such as `10485760`, `'512k'`, `'10m'` or `'1g'` into bytes.
+ * @private
+ * @param {number|string} size - The size.
+ * @returns {number} The size in bytes.
+ * @throws {Error} If the size cannot be parsed.
+ */
+function parseSize(size) {
+    if (typeof size === 'number' && size > 0) {
+        return size;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?b?$/i.exec(String(size).trim());
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid file size "${size}". Expected a number of bytes or a string such as "10m"`);
+    }
+    return Math.floor(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Formats the period a date belongs to, used to name rotated files.
+ * @private
+ * @param {Date} date - The date.
+ * @param {string|undefined} frequency - The rotation frequency; without one, the full time is used.
+ * @returns {string} The period, e.g. `2024-05-01` (daily) or `2024-05-01-13` (hourly).
+ */
+function formatPeriod(date, frequency) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (frequency === 'daily') {
+        return day;
+    }
+    if (frequency === 'hourly') {
+        return `${day}-${pad(date.getHours())}`;
+    }
+    return `${day}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Matches the periods {@link formatPeriod} produces, with any frequency.
+ * @private
+ * @type {string}
+ */
+const PERIOD_PATTERN = '\\d{4}-\\d{2}-\\d{2}(?:-\\d{2}(?:\\d{4})?)?';
+
+/**
+ * Builds a RegExp matching the names of the files rotated from an active file:
+ * `<name>.<period>[.<n>]<ext>`, optionally followed by `.gz`.
+ * @private
+ * @param {string} name - The file name of the active file without its extension.
+ * @param {string} ext - The extension of the active file.
+ * @returns {RegExp} The RegExp.
+ */
+function rotatedFilePattern(name, ext) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escape(name)}\\.${PERIOD_PATTERN}(?:\\.\\d+)?${escape(ext)}(?:\\.gz)?$`);
+}
+
+/**
+ * Validates the options of the file transport.
+ * @private
+ * @param {Object} options - The options.
+ * @throws {Error} If an option is invalid.
+ */
+function validateFileOptions(options) {
+    if (!options.filename) {
+        throw new Error('The file transport requires a "filename" option');
+    }
+    if (options.maxSize !== undefined) {
+        parseSize(options.maxSize);
+    }
+    if (options.frequency !== undefined && !FREQUENCIES.includes(options.frequency)) {
+        throw new Error(`Unknown rotation frequency "${options.frequency}". Expected one of: ${FREQUENCIES.join(', ')}`);
+    }
+    if (options.maxFiles !== undefined && !(Number.isInteger(options.maxFiles) && options.maxFiles >= 0)) {
+        throw new Error(`Invalid "maxFiles" option "${options.maxFiles}". Expected a non-negative integer`);
+    }
+}
+
+/**
+ * A winston transport writing one entry per line to a file, and rotating the file when it grows past `maxSize`
+ * or when the day or hour changes. Rotated files are renamed to `<name>.<period>[.<n>]<ext>`, e.g. `app.2024-05-01.log`,
+ * optionally gzipped, and only the newest `maxFiles` are kept.
+ * Writes are synchronous, so entries are on disk as soon as the logging call returns. Rotated files are compressed
+ * in the background, one at a time; `compressing` resolves once they all are.
+ */
+class FileTransport extends Transport {
+    /**
+     * @param {Object} options - Transport options.
+     * @param {string} options.filename - Path of the active log file. Missing directories are created.
+     * @param {number|string} [options.maxSize] - Rotate when the file would grow past this size, e.g. `'10m'`.
+     * @param {string} [options.frequency] - Rotate when the period changes: 'daily' or 'hourly'.
+     * @param {number} [options.maxFiles] - Number of rotated files to keep; older ones are deleted. Keeps all by default.
+     * @param {boolean} [options.compress=false] - Whether to gzip rotated files.
+     * @param {string} [options.level] - Minimum level written by this transport.
+     * @param {winston.Format} [options.format] - Format of this transport.
+     * @throws {Error} If an option is invalid.
+     */
+    constructor(options = {}) {
+        super(options);
+        validateFileOptions(options);
+        this.filename = path.resolve(options.filename);
+        this.maxSize = options.maxSize !== undefined ? parseSize(options.maxSize) : Infinity;
+        this.frequency = options.frequency;
+        this.maxFiles = options.maxFiles;
+        this.compress = Boolean(options.compress);
+        this.compressing = Promise.resolve();
+        this.fd = null;
+        this.open();
+    }
+
+    /**
+     * Opens the active log file, picking up the size and period of an existing file.
+     * @private
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        this.fd = fs.openSync(this.filename, 'a');
+        const stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        this.period = formatPeriod(stats.size ? stats.mtime : new Date(), this.frequency);
+    }
+
+    /**
+     * Writes an entry, rotating the file first if needed.
+     * @param {Object} info - The formatted winston info object.
+     * @param {Function} callback - Called once the entry is written.
+     */
+    log(info, callback) {
+        const line = Buffer.from(`${info[MESSAGE]}\n`);
+        const period = formatPeriod(new Date(), this.frequency);
+        if (this.size > 0 && ((this.frequency && period !== this.period) || this.size + line.length > this.maxSize)) {
+            try {
+                this.rotate();
+            } catch (err) {
+                // The entry is still written, to the reopened file
+                this.emit('error', err);
+            }
+            this.period = period;
+        }
+        try {
+            if (this.fd === null) {
+                this.open();
+            }
+            fs.writeSync(this.fd, line);
+            this.size += line.length;
+        } catch (err) {
+            this.emit('error', err);
+        }
+        this.emit('logged', info);
+        callback();
+    }
+
+    /**
+     * Renames the active file to its rotated name, starts compressing it if configured, applies retention and reopens.
+     * The active file is reopened even if the rotation fails, e.g. because the directory was deleted.
+     * @private
+     */
+    rotate() {
+        fs.closeSync(this.fd);
+        this.fd = null;
+        try {
+            const ext = path.extname(this.filename);
+            const base = this.filename.slice(0, this.filename.length - ext.length);
+            const suffix = this.compress ? '.gz' : '';
+            let target = `${base}.${this.period}${ext}`;
+            for (let n = 1; fs.existsSync(target) || fs.existsSync(target + suffix); n++) {
+                target = `${base}.${this.period}.${n}${ext}`;
+            }
+            fs.renameSync(this.filename, target);
+            if (this.compress) {
+                this.compressFile(target, () => this.removeOldFiles(path.basename(base), ext));
+            } else {
+                this.removeOldFiles(path.basename(base), ext);
+            }
+        } finally {
+            this.open();
+        }
+    }
+
+    /**
+     * Gzips a rotated file with streams, after the compressions already started, then deletes it. Large files are
+     * neither read into memory nor compressed on the logging call. The compressed file keeps the modification time
+     * of the original, which retention sorts files by. Failures are emitted as 'error' events.
+     * @private
+     * @param {string} file - The rotated file.
+     * @param {Function} then - Called once the file is compressed.
+     */
+    compressFile(file, then) {
+        this.compressing = this.compressing
+            .then(() => {
+                // Already deleted by retention, when more files are rotated in a row than are kept
+                if (!fs.existsSync(file)) {
+                    return undefined;
+                }
+                return pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`))
+                    .then(() => fs.promises.stat(file))
+                    .then((stats) => fs.promises.utimes(`${file}.gz`, stats.atime, stats.mtime))
+                    .then(() => fs.promises.unlink(file));
+            })
+            .then(then)
+            .catch((err) => {
+                this.emit('error', err);
+            });
+    }
+
+    /**
+     * Deletes the oldest rotated files beyond `maxFiles`.
+     * @private
+     * @param {string} name - The file name of the active file without its extension.
+     * @param {string} ext - The extension of the active file.
+     */
+    removeOldFiles(name, ext) {
+        if (this.maxFiles === undefined) {
+            return;
+        }
+        const dir = path.dirname(this.filename);
+        // Strict, so files of other transports in the same directory, such as `app.error.log`, are left alone
+        const pattern = rotatedFilePattern(name, ext);
+        const rotated = fs.readdirSync(dir)
+            .filter((file) => pattern.test(file))
+            .map((file) => ({ file, mtime: fs.statSync(path.join(dir, file)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime || b.file.localeCompare(a.file));
+        for (const { file } of rotated.slice(this.maxFiles)) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+    }
+
+    /**
+     * Closes the active log file.
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Checks whether a recorded entry matches a query. Each query property is compared with the entry property of the
+ * same name or, for other names, with the entry's field: RegExps are tested against the value, functions are
+ * called with it, and other values are compared strictly.
+ * @private
+ * @param {Object} entry - The recorded entry.
+ * @param {Object} query - The query, e.g. `{ level: 'error', message: /timeout/ }`.
+ * @returns {boolean} True if every query property matches.
+ */
+function matchesQuery(entry, query) {
+    return Object.keys(query).every((key) => {
+        const expected = query[key];
+        const actual = Object.prototype.hasOwnProperty.call(entry, key) ? entry[key] : entry.fields[key];
+        if (expected instanceof RegExp) {
+            return actual !== undefined && expected.test(String(actual));
+        }
+        if (typeof expected === 'function') {
+            return Boolean(expected(actual));
+        }
+        return actual === expected;
+    });
+}
+
+/**
+ * A winston transport recording entries in memory, as structured objects, for assertions in tests.
+ * Each recorded entry has the `level`, `message`, `file`, `line` and `function` of the caller, the `stack` trace
+ * if any, the `timestamp`, the `fields` of the entry (bound context, metadata, error details and so on),
+ * and the `output` line as rendered by the transport's format.
+ */
+class MemoryTransport extends Transport {
+    /**
+     * @param {Object} [options] - Transport options.
+     * @param {string} [options.level] - Minimum level recorded by this transport.
+     * @param {winston.Format} [options.format] - Format used to render the `output` of entries.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.entries = [];
+    }
+
+    /**
+     * Records an entry.
+     * @param {Object} info - The formatted winston info object.
+     * @param {Function} callback - Called once the entry is recorded.
+     */
+    log(info, callback) {
+        const location = info[SOURCE_LOCATION] || {};
+        const fields = Object.assign({}, info[CONTEXT]);
+        for (const key of Object.keys(info)) {
+            if (!ENTRY_PROPERTIES.includes(key)) {
+                fields[key] = info[key];
+            }
+        }
+        if (info[ERROR]) {
+            fields.error = info[ERROR];
+        }
+        this.entries.push({
+            level: info.level,
+            message: info.message,
+            file: location.file,
+            line: location.line,
+            function: location.function,
+            stack: info.stack,
+            timestamp: info.timestamp,
+            fields,
+            output: info[MESSAGE],
+        });
+        this.emit('logged', info);
+        callback();
+    }
+
+    /**
+     * Finds the first recorded entry matching a query.
+     * @param {Object} [query={}] - The query, e.g. `{ level: 'error', message: /timeout/, orderId: 'A-42' }`.
+     * @returns {Object|undefined} The entry, or undefined if none matches.
+     */
+    find(query = {}) {
+        return this.entries.find((entry) => matchesQuery(entry, query));
+    }
+
+    /**
+     * Finds all recorded entries matching a query.
+     * @param {Object} [query={}] - The query (see {@link MemoryTransport#find}).
+     * @returns {Array<Object>} The matching entries.
+     */
+    filter(query = {}) {
+        return this.entries.filter((entry) => matchesQuery(entry, query));
+    }
+
+    /**
+     * Forgets all recorded entries.
+     */
+    clear() {
+        this.entries.length = 0;
+    }
+}
+
+/**
+ * A winston transport handing entries to a transport instance given in the logger options, in the transport's own
+ * format or else the logger's output format. Each logger wraps the instance in its own `SharedTransport`, so
+ * loggers sharing an instance keep their own formats and do not change the instance.
+ * The instance's `level` and `silent` flags still apply.
+ * @private
+ */
+class SharedTransport extends Transport {
+    /**
+     * @param {winston.transport} transport - The transport instance.
+     * @param {function(): (string|undefined)} getFormat - Returns the logger's current output format, if any.
+     */
+    constructor(transport, getFormat) {
+        super({ format: transport.format || createOutputFormat(getFormat) });
+        this.transport = transport;
+        this.name = transport.filename || transport.name || transport.constructor.name;
+        // The level is read from the instance on every entry, as winston reads the one of its transports
+        Object.defineProperty(this, 'level', { get: () => transport.level, set() {}, enumerable: true });
+        if (typeof transport.on === 'function') {
+            transport.on('error', (err) => this.emit('error', err));
+            transport.on('warn', (warning) => this.emit('warn', warning));
+        }
+    }
+
+    /**
+     * Rotated files the instance is still compressing, if it is a {@link FileTransport}.
+     * @type {Promise<void>|undefined}
+     */
+    get compressing() {
+        return this.transport.compressing;
+    }
+
+    /**
+     * Hands an entry to the instance, unless the instance is silent.
+     * @param {Object} info - The formatted winston info object.
+     * @param {Function} callback - Called once the instance has written the entry.
+     */
+    log(info, callback) {
+        if (this.transport.silent) {
+            callback();
+            return;
+        }
+        this.transport.log(info, callback);
+    }
+
+    /**
+     * Closes the instance, when the logger is closed.
+     */
+    close() {
+        if (typeof this.transport.close === 'function') {
+            this.transport.close();
+        }
+    }
+}
+
+/**
+ * Checks whether a value is a transport instance rather than a transport specification.
+ * @private
+ * @param {any} value - The value.
+ * @returns {boolean} True for winston transports and other objects with a `log` method.
+ */
+function isTransport(value) {
+    return value instanceof Transport || (value !== null && typeof value === 'object' && typeof value.log === 'function');
+}
+
+/**
+ * Validates a transport specification without creating the transport.
+ * @param {Object} spec - The specification, e.g. `{ type: 'file', filename: 'logs/app.log' }`.
+ * @returns {Object} The same specification.
+ * @throws {Error} If the specification has an unknown type, format or level, or invalid type-specific options.
+ */
+function validateTransportSpec(spec) {
+    if (spec === null || typeof spec !== 'object') {
+        throw new Error(`Invalid transport ${JSON.stringify(spec)}. Expected a winston transport or an object such as { type: 'console' }`);
+    }
+    if (!TRANSPORT_TYPES.includes(spec.type)) {
+        throw new Error(`Unknown transport type "${spec.type}". Expected one of: ${TRANSPORT_TYPES.join(', ')}`);
+    }
+    if (spec.format !== undefined) {
+        validateFormat(spec.format);
+    }
+    if (spec.level !== undefined) {
+        validateLevel(spec.level);
+    }
+    if (spec.type === 'file') {
+        validateFileOptions(spec);
+    }
+    return spec;
+}
+
+/**
+ * Makes a transport count the entries it is still writing, i.e. whose `log` callback has not been called yet,
+ * so {@link flushTransports} can wait for them. Transports are only tracked once.
+ * @private
+ * @param {winston.transport} transport - The transport.
+ * @returns {winston.transport} The same transport.
+ */
+function trackPending(transport) {
+    if (transport[PENDING] !== undefined || typeof transport.log !== 'function') {
+        return transport;
+    }
+    const log = transport.log;
+    transport[PENDING] = 0;
+    transport.log = function trackedLog(info, callback) {
+        let done = false;
+        transport[PENDING]++;
+        return log.call(this, info, (...args) => {
+            if (!done) {
+                done = true;
+                transport[PENDING]--;
+                if (transport[PENDING] === 0) {
+                    transport.emit(IDLE);
+                }
+            }
+            if (callback) {
+                callback(...args);
+            }
+        });
+    };
+    return transport;
+}
+
+/**
+ * Waits until a tracked transport has no entries left to write.
+ * @private
+ * @param {winston.transport} transport - The transport.
+ * @returns {Promise<void>} Resolves once the transport is idle.
+ */
+function waitForIdle(transport) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (!transport[PENDING]) {
+                transport.removeListener(IDLE, check);
+                resolve();
+            }
+        };
+        transport.on(IDLE, check);
+        check();
+    });
+}
+
+/**
+ * Waits until a winston logger has handed every entry it received to its transports. Entries are held in the
+ * logger's own buffers while a slow transport applies backpressure.
+ * @private
+ * @param {winston.Logger} logger - The winston logger.
+ * @returns {Promise<void>} Resolves once the logger's buffers are empty.
+ */
+function waitForDrained(logger) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (!logger.writableLength && !logger.readableLength) {
+                logger.removeListener('data', check);
+                resolve();
+            }
+        };
+        // Emitted after the pipes to the transports have been handed each entry, as they listened first
+        logger.on('data', check);
+        check();
+    });
+}
+
+/**
+ * Waits until the transports of a winston logger have written every entry the logger received, and then until the
+ * standard output and error streams, used by console transports, have handed their data to the operating system.
+ * The entries still buffered in the logger are first waited for. Then a marker is written to each transport behind
+ * its buffered entries: transports skip it, as its level is unknown, but only once every entry before it has been
+ * handed to `log`. Then the entries still being written, and the rotated files file transports are still
+ * compressing, are waited for.
+ * @param {winston.Logger} logger - The winston logger.
+ * @returns {Promise<void>} Resolves once everything is written.
+ */
+function flushTransports(logger) {
+    return waitForDrained(logger)
+        .then(() => Promise.all(logger.transports
+            .filter((transport) => typeof transport.write === 'function')
+            .map((transport) => new Promise((resolve) => transport.write({ [LEVEL]: FLUSH_LEVEL }, () => resolve()))
+                .then(() => waitForIdle(transport))
+                .then(() => transport.compressing))))
+        .then(() => Promise.all([process.stdout, process.stderr]
+            .map((stream) => new Promise((resolve) => stream.write('', () => resolve())))))
+        .then(() => undefined);
+}
+
+/**
+ * Gets the format of a transport for which neither the transport nor the logger has one: for consoles, the default
+ * of the detected runtime if any, else 'pretty' when attached to a terminal, where people read the output;
+ * 'text' for log files and piped or collected output.
+ * @private
+ * @param {string} type - The transport type, one of {@link TRANSPORT_TYPES}.
+ * @param {string} [consoleFormat] - The default console format of the detected runtime.
+ * @returns {string} The format name.
+ */
+function getDefaultFormat(type, consoleFormat) {
+    if (type !== 'console') {
+        return 'text';
+    }
+    return consoleFormat || (process.stdout.isTTY ? 'pretty' : 'text');
+}
+
+/**
+ * Builds the transports of a logger instance.
+ * Each item is either a winston transport or a specification such as
+ * `{ type: 'file', filename: 'logs/app.log', level: 'info', format: 'json' }`.
+ * Transports without their own format render entries in the logger's current output format, if it has one.
+ * Transport instances are wrapped rather than changed, so several loggers can share them.
+ * @param {Array<Object|winston.transport>} [specs=[{ type: 'console' }]] - The transports or transport specifications.
+ * @param {function(): (string|undefined)} getFormat - Returns the logger's current output format, if any.
+ * @param {string} [consoleFormat] - Default format of consoles, e.g. the one of the detected runtime; by default
+ *                                   'pretty' on a terminal and 'text' otherwise.
+ * @returns {Array<winston.transport>} The transports.
+ * @throws {Error} If a specification is invalid (see {@link validateTransportSpec}).
+ */
+function createTransports(specs = [{ type: 'console' }], getFormat, consoleFormat) {
+    return specs.map((spec) => {
+        if (isTransport(spec)) {
+            // Transports implementing the winston 2 `log(level, message, meta, callback)` signature are wrapped by winston
+            const legacy = typeof spec.pipe !== 'function' || spec.log.length > 2;
+            return legacy ? spec : trackPending(new SharedTransport(spec, getFormat));
+        }
+        const { type, format, level, ...options } = validateTransportSpec(spec);
+        const defaultFormat = getDefaultFormat(type, consoleFormat);
+        const transportOptions = Object.assign({}, options, {
+            level,
+            format: createOutputFormat(() => format || getFormat() || defaultFormat),
+        });
+        return trackPending(type === 'file'
+            ? new FileTransport(transportOptions)
+            : new winston.transports.Console(transportOptions));
+    });
+}
+
+module.exports = {
+    TRANSPORT_TYPES,
+    FREQUENCIES,
+    FileTransport,
+    MemoryTransport,
+    isTransport,
+    validateTransportSpec,
+    createTransports,
+    flushTransports,
+};
@@ -5,6 +5,7 @@
 
 const assert = require('assert');
 const path = require('path');
+const { spawnSync } = require('child_process');
 
 // Helper to require a fresh module instance for testing
 function requireFresh(modulePath) {
@@ -139,5 +140,74 @@ runner.test('Prefix: should use different prefixes when reset and reinitialized'
     assert.notStrictEqual(logger1, logger2, 'Should be different instances');
 });
 
+runner.test('Context: should reach modules that only require the logger', async () => {
+    const loggerModule = requireFresh('../src/index.js');
+    loggerModule().reset();
+
+    const appLogger = loggerModule(null);
+    const serviceLogger = loggerModule();
+    const seen = [];
+
+    // Simulates a deep service module with no access to the request
+    const service = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        seen.push(serviceLogger.getContext());
+    };
+
+    const handler = appLogger.withRequestContext(() => service());
+    await Promise.all([
+        handler({ headers: { 'function-execution-id': 'a' } }, {}),
+        handler({ headers: { 'function-execution-id': 'b' } }, {}),
+    ]);
+
+    assert.deepStrictEqual(seen.map(ctx => ctx.executionId).sort(), ['a', 'b'], 'Each request should keep its own context');
+});
+
+runner.test('Library and App: should not share configuration between createLogger and the singleton', () => {
+    const loggerModule = requireFresh('../src/index.js');
+    loggerModule().reset();
+
+    // A published library creates its own named instance
+    const libraryLogger = loggerModule.createLogger({ name: 'my-library', prefix: '/library/path', level: 'warn' });
+
+    // The consuming app uses the singleton
+    const appLogger = loggerModule('/app/path', { level: 'debug' });
+    appLogger.setPrefix('/other/app/path');
+
+    assert.notStrictEqual(appLogger, libraryLogger, 'Should be different instances');
+    assert.strictEqual(loggerModule(), appLogger, 'App should keep the singleton');
+    assert.strictEqual(libraryLogger.getLevel(), 'warn', 'Library should keep its level');
+    assert.strictEqual(appLogger.getLevel(), 'debug', 'App should keep its level');
+
+    libraryLogger.reset();
+    assert.strictEqual(loggerModule(), appLogger, 'Resetting the library instance should not clear the singleton');
+});
+
+runner.test('Process Events: should log and flush before exiting on crashes and SIGTERM', () => {
+    const loggerPath = JSON.stringify(path.join(__dirname, '..', 'src', 'index.js'));
+    const run = (code) => spawnSync(process.execPath, ['-e', code], { encoding: 'utf8', timeout: 10000 });
+
+    const crashed = run(`
+        const logger = require(${loggerPath})(null, { format: 'json' });
+        logger.handleProcessEvents();
+        setTimeout(() => { throw new Error('Test crash'); }, 0);
+    `);
+    const terminated = run(`
+        const logger = require(${loggerPath})(null, { format: 'json' });
+        logger.handleProcessEvents();
+        setInterval(() => {}, 1000);
+        process.kill(process.pid, 'SIGTERM');
+    `);
+
+    const crashEntry = JSON.parse(crashed.stdout);
+    assert.strictEqual(crashed.status, 1, 'Should exit with code 1 after an uncaught exception');
+    assert.strictEqual(crashEntry.severity, 'CRITICAL');
+    assert.strictEqual(crashEntry.message, 'Test crash');
+    assert(crashEntry.stack_trace.includes('Error: Test crash'), 'Should log the stack trace');
+    const termEntry = JSON.parse(terminated.stdout);
+    assert.strictEqual(terminated.status, 143, 'Should exit with code 143 after SIGTERM');
+    assert.strictEqual(termEntry.processEvent, 'SIGTERM');
+});
+
 // Run tests
 runner.run();